@@ -0,0 +1,142 @@
+const mysql = require('mysql2');
+const { buildWhereClause, buildOrderByClause, buildLimitClause, translateNode } = require('./filterTranslator');
+const { serializeItem } = require('./serializer');
+const { ValidationError } = require('./errors');
+
+// Acumuladores suportados e a função SQL correspondente
+const ACCUMULATORS = {
+    $sum: 'SUM',
+    $avg: 'AVG',
+    $min: 'MIN',
+    $max: 'MAX',
+    $count: 'COUNT'
+};
+
+// Converte uma referência de campo do Wix ("$campo") para o nome da coluna
+function parseFieldRef(ref) {
+    if (typeof ref !== 'string' || !ref.startsWith('$') || ref.length < 2) {
+        throw new ValidationError(`Referência de campo inválida na agregação: ${JSON.stringify(ref)}`);
+    }
+    return ref.slice(1);
+}
+
+// Lê o "_id" do processingStep e devolve a lista de campos de agrupamento [{ alias, column }]
+// onde column já vem escapada por resolveField
+function parseGroupBy(groupId, resolveField) {
+    if (groupId === null || groupId === undefined) {
+        return [];
+    }
+    if (typeof groupId === 'string') {
+        return [{ alias: '_id', column: resolveField(parseFieldRef(groupId)) }];
+    }
+    if (typeof groupId === 'object' && !Array.isArray(groupId)) {
+        return Object.entries(groupId).map(([alias, ref]) => ({ alias, column: resolveField(parseFieldRef(ref)) }));
+    }
+    throw new ValidationError('O campo _id do processingStep deve ser uma referência de campo ou um objeto');
+}
+
+// Converte um acumulador ({ $sum: '$preco' }, { $sum: 1 }, { $count: {} }) para SQL
+function parseAccumulator(alias, definition, resolveField) {
+    if (!definition || typeof definition !== 'object' || Object.keys(definition).length !== 1) {
+        throw new ValidationError(`Acumulador inválido para o campo ${alias}`);
+    }
+
+    const [operator, argument] = Object.entries(definition)[0];
+    const sqlFunction = ACCUMULATORS[operator];
+
+    if (!sqlFunction) {
+        throw new ValidationError(`Acumulador não suportado: ${operator}`);
+    }
+
+    // { $count: {} } e { $sum: 1 } contam as linhas do grupo
+    if (operator === '$count' || (operator === '$sum' && argument === 1)) {
+        return `COUNT(*) AS ${mysql.escapeId(alias)}`;
+    }
+
+    return `${sqlFunction}(${resolveField(parseFieldRef(argument))}) AS ${mysql.escapeId(alias)}`;
+}
+
+// Monta a consulta de agregação (GROUP BY/HAVING) a partir da requisição do Wix.
+// resolveField converte os campos do Wix nas colunas escapadas da tabela;
+// condition é somada ao filtro antes do agrupamento (ex.: a restrição de dono).
+function buildAggregateQuery(table, { filter, processingStep, postFilteringStep, sort, skip, limit }, { resolveField = (fieldName) => mysql.escapeId(fieldName), condition = null } = {}) {
+    if (!processingStep || typeof processingStep !== 'object') {
+        throw new ValidationError('processingStep é obrigatório para a agregação');
+    }
+
+    const { _id: groupId, ...accumulatorDefinitions } = processingStep;
+    const groupBy = parseGroupBy(groupId, resolveField);
+    const accumulatorAliases = Object.keys(accumulatorDefinitions);
+    // Acumuladores cujo resultado é sempre numérico
+    const numericAliases = accumulatorAliases.filter((alias) => {
+        const [operator] = Object.keys(accumulatorDefinitions[alias] || {});
+        return ['$sum', '$avg', '$count'].includes(operator);
+    });
+
+    if (accumulatorAliases.length === 0 && groupBy.length === 0) {
+        throw new ValidationError('A agregação exige ao menos um campo de agrupamento ou acumulador');
+    }
+
+    const selectParts = [
+        ...groupBy.map(({ alias, column }) => `${column} AS ${mysql.escapeId(alias)}`),
+        ...accumulatorAliases.map((alias) => parseAccumulator(alias, accumulatorDefinitions[alias], resolveField))
+    ];
+
+    // Após o agrupamento só existem os apelidos produzidos pela agregação
+    const outputAliases = new Set([...groupBy.map(({ alias }) => alias), ...accumulatorAliases]);
+    const resolveOutputField = (fieldName) => {
+        if (!outputAliases.has(fieldName)) {
+            throw new ValidationError(`Campo desconhecido após a agregação: ${fieldName}`);
+        }
+        return mysql.escapeId(fieldName);
+    };
+
+    const where = buildWhereClause(filter, { resolveField, condition });
+    let sql = `SELECT ${selectParts.join(', ')} FROM ${mysql.escapeId(table)}${where.clause}`;
+    const params = [...where.params];
+
+    if (groupBy.length > 0) {
+        sql += ` GROUP BY ${groupBy.map(({ column }) => column).join(', ')}`;
+    }
+
+    if (postFilteringStep && Object.keys(postFilteringStep).length > 0) {
+        const having = translateNode(postFilteringStep, resolveOutputField);
+        sql += ` HAVING ${having.sql}`;
+        params.push(...having.params);
+    }
+
+    // A contagem de grupos reaproveita a consulta antes da ordenação e da paginação
+    const countSql = `SELECT COUNT(*) AS totalCount FROM (${sql}) AS grouped`;
+    const countParams = [...params];
+
+    sql += buildOrderByClause(sort, { resolveField: resolveOutputField });
+
+    if (typeof limit === 'number') {
+        sql += buildLimitClause(limit, typeof skip === 'number' ? skip : 0);
+    }
+
+    return { sql, params, countSql, countParams, groupBy, numericAliases };
+}
+
+// Formata as linhas agregadas: o "_id" traz os valores do grupo e os acumuladores viram números
+function formatAggregateRows(rows, { groupBy, numericAliases }) {
+    return rows.map((row) => {
+        // Sem metadados de coluna, datas e binários seguem o formato padrão do Wix
+        const item = serializeItem(row);
+
+        for (const alias of numericAliases) {
+            // SUM/AVG de colunas inteiras ou DECIMAL chegam como string do driver
+            if (typeof item[alias] === 'string' && item[alias] !== '' && !isNaN(Number(item[alias]))) {
+                item[alias] = Number(item[alias]);
+            }
+        }
+
+        if (groupBy.length > 0 && !(groupBy.length === 1 && groupBy[0].alias === '_id')) {
+            item._id = Object.fromEntries(groupBy.map(({ alias }) => [alias, item[alias]]));
+        }
+
+        return item;
+    });
+}
+
+module.exports = { buildAggregateQuery, formatAggregateRows };
@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const { ERROR_CODES } = require('./errors');
+const { logger } = require('./logger');
+const { isMultiTenant } = require('./tenantRegistry');
+const { getScope } = require('./requestScope');
+
+// Modos de assinatura aceitos em REQUEST_SIGNATURE
+const SIGNATURE_MODES = ['none', 'hmac', 'jwt'];
+
+// Assinaturas já aceitas, guardadas até expirarem para impedir que sejam reenviadas
+const seenSignatures = new Map();
+
+// Chaves ativas: SECRET_KEYS (separadas por vírgula) mais a SECRET_KEY antiga.
+// Durante a rotação as duas chaves ficam ativas até o Wix passar a usar a nova.
+function getActiveKeys() {
+    const keys = [
+        ...(process.env.SECRET_KEYS || '').split(','),
+        process.env.SECRET_KEY || ''
+    ].map((key) => key.trim()).filter(Boolean);
+    return [...new Set(keys)];
+}
+
+// Segredos de assinatura: SIGNATURE_KEYS (separados por vírgula), distintos da chave secreta, que viaja no corpo
+// de toda requisição. Com mais de um, a rotação funciona como a das chaves secretas.
+function getSignatureKeys() {
+    const keys = (process.env.SIGNATURE_KEYS || '').split(',').map((key) => key.trim()).filter(Boolean);
+    if (keys.length === 0) {
+        throw new Error('REQUEST_SIGNATURE exige SIGNATURE_KEYS com ao menos um segredo de assinatura');
+    }
+    return [...new Set(keys)];
+}
+
+function getSignatureMode() {
+    const mode = (process.env.REQUEST_SIGNATURE || 'none').toLowerCase();
+    if (!SIGNATURE_MODES.includes(mode)) {
+        throw new Error(`REQUEST_SIGNATURE inválido: ${mode}. Use ${SIGNATURE_MODES.join(', ')}`);
+    }
+    return mode;
+}
+
+// Tolerância, em segundos, entre o horário da assinatura e o do servidor
+function getTolerance() {
+    return parseInt(process.env.SIGNATURE_TOLERANCE_SECONDS, 10) || 300;
+}
+
+// Comparação em tempo constante; os hashes igualam o tamanho para o timingSafeEqual
+function safeEqual(a, b) {
+    const hashA = crypto.createHash('sha256').update(String(a)).digest();
+    const hashB = crypto.createHash('sha256').update(String(b)).digest();
+    return crypto.timingSafeEqual(hashA, hashB);
+}
+
+function matchesActiveKey(providedKey) {
+    // Compara com todas as chaves para não revelar qual delas (ou se alguma) casou primeiro
+    return getActiveKeys().reduce((matched, key) => safeEqual(providedKey, key) || matched, false);
+}
+
+// Hash guardado no registro de tenants (secretKeyHashes): SHA-256 da chave em hexadecimal
+function hashSecretKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+// Chave de uma instalação no modo multi-tenant: HMAC-SHA256 do installationId com uma chave ativa, em hexadecimal.
+// O operador a entrega ao dono do site; ela não permite calcular a chave de outra instalação.
+function deriveTenantKey(key, installationId) {
+    return crypto.createHmac('sha256', key).update(String(installationId)).digest('hex');
+}
+
+// No modo multi-tenant a chave precisa ser a da instalação: qualquer uma das registradas em secretKeyHashes
+// (várias durante a rotação) ou, para tenants ainda sem hash (e no provisionamento), a derivada das chaves ativas
+function matchesTenantKey(providedKey, installationId, tenant) {
+    const hashes = tenant && Array.isArray(tenant.secretKeyHashes) ? tenant.secretKeyHashes : [];
+    if (hashes.length > 0) {
+        const providedHash = hashSecretKey(providedKey);
+        return hashes.reduce((matched, hash) => safeEqual(providedHash, String(hash).toLowerCase()) || matched, false);
+    }
+    return getActiveKeys().reduce((matched, key) => safeEqual(providedKey, deriveTenantKey(key, installationId)) || matched, false);
+}
+
+// Registra a assinatura e recusa as que já foram usadas dentro da janela de tolerância
+function rememberSignature(signature, expiresAt) {
+    const now = Date.now();
+    for (const [seen, expiry] of seenSignatures) {
+        if (expiry <= now) seenSignatures.delete(seen);
+    }
+    if (seenSignatures.has(signature)) {
+        return false;
+    }
+    seenSignatures.set(signature, expiresAt);
+    return true;
+}
+
+function isWithinTolerance(timestampSeconds) {
+    return Math.abs(Date.now() / 1000 - timestampSeconds) <= getTolerance();
+}
+
+// HMAC-SHA256 de "<timestamp>.<corpo bruto>" em hexadecimal, nos cabeçalhos X-Timestamp e X-Signature
+function verifyHmac(req, keys) {
+    const timestamp = req.get('X-Timestamp');
+    const signature = req.get('X-Signature');
+
+    if (!timestamp || !signature) {
+        return 'cabeçalhos X-Timestamp e X-Signature ausentes';
+    }
+
+    // Aceita o horário em segundos ou em milissegundos
+    const seconds = Number(timestamp) > 1e12 ? Number(timestamp) / 1000 : Number(timestamp);
+    if (!Number.isFinite(seconds) || !isWithinTolerance(seconds)) {
+        return 'timestamp fora da janela de tolerância';
+    }
+
+    const payload = `${timestamp}.${req.rawBody ? req.rawBody.toString('utf8') : ''}`;
+    const valid = keys.reduce((matched, key) => (
+        safeEqual(crypto.createHmac('sha256', key).update(payload).digest('hex'), signature.toLowerCase()) || matched
+    ), false);
+
+    if (!valid) {
+        return 'assinatura HMAC inválida';
+    }
+    if (!rememberSignature(`hmac:${signature.toLowerCase()}`, (seconds + getTolerance()) * 1000)) {
+        return 'assinatura já utilizada';
+    }
+    return null;
+}
+
+function decodeBase64UrlJson(segment) {
+    try {
+        return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+    } catch (err) {
+        return null;
+    }
+}
+
+// JWT HS256 no cabeçalho Authorization: Bearer. Exige iat recente e body_sha256 igual ao hash do corpo bruto;
+// o jti (ou a própria assinatura) não pode ser reutilizado.
+function verifyJwt(req, keys) {
+    const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+    if (!match) {
+        return 'token JWT ausente';
+    }
+
+    const parts = match[1].split('.');
+    if (parts.length !== 3) {
+        return 'token JWT malformado';
+    }
+
+    const [encodedHeader, encodedPayload, signature] = parts;
+    const header = decodeBase64UrlJson(encodedHeader);
+    const claims = decodeBase64UrlJson(encodedPayload);
+    if (!header || !claims || header.alg !== 'HS256') {
+        return 'token JWT inválido ou algoritmo diferente de HS256';
+    }
+
+    const signingInput = `${encodedHeader}.${encodedPayload}`;
+    const valid = keys.reduce((matched, key) => (
+        safeEqual(crypto.createHmac('sha256', key).update(signingInput).digest('base64url'), signature) || matched
+    ), false);
+    if (!valid) {
+        return 'assinatura do JWT inválida';
+    }
+
+    const nowSeconds = Date.now() / 1000;
+    if (typeof claims.iat !== 'number' || !isWithinTolerance(claims.iat)) {
+        return 'iat do JWT ausente ou fora da janela de tolerância';
+    }
+    if (typeof claims.exp === 'number' && claims.exp < nowSeconds) {
+        return 'JWT expirado';
+    }
+
+    const bodyHash = crypto.createHash('sha256').update(req.rawBody || '').digest('hex');
+    if (typeof claims.body_sha256 !== 'string' || !safeEqual(claims.body_sha256.toLowerCase(), bodyHash)) {
+        return 'body_sha256 do JWT não confere com o corpo da requisição';
+    }
+    if (!rememberSignature(`jwt:${claims.jti || signature}`, (claims.iat + getTolerance()) * 1000)) {
+        return 'JWT já utilizado';
+    }
+    return null;
+}
+
+// Guarda o corpo bruto para a verificação das assinaturas (usado como "verify" do express.json)
+function captureRawBody(req, res, buffer) {
+    req.rawBody = buffer;
+}
+
+// Middleware para validar a chave secreta e, se configurado, a assinatura da requisição.
+// No modo multi-tenant vale a chave da instalação informada (o tenant já resolvido por tenantScope);
+// as chaves ativas não dão acesso direto a nenhum tenant. As assinaturas usam SIGNATURE_KEYS ou, no modo
+// multi-tenant, o segredo derivado delas para a instalação, como a chave do tenant.
+function validateSecretKey(req, res, next) {
+    const providedKey = req.body?.requestContext?.settings?.secretKey;
+    const installationId = req.body?.requestContext?.installationId;
+
+    const authorized = Boolean(providedKey) && (isMultiTenant()
+        ? Boolean(installationId) && matchesTenantKey(providedKey, installationId, getScope().tenant)
+        : matchesActiveKey(providedKey));
+    if (!authorized) {
+        logger.warn('Tentativa de acesso não autorizado', isMultiTenant() ? { installationId } : {});
+        return res.status(403).json({ error: 'Acesso não autorizado', code: ERROR_CODES.PERMISSION_DENIED });
+    }
+
+    const mode = getSignatureMode();
+    const keys = mode === 'none' ? [] : getSignatureKeys()
+        .map((key) => (isMultiTenant() ? deriveTenantKey(key, installationId) : key));
+    const failure = mode === 'hmac' ? verifyHmac(req, keys) : mode === 'jwt' ? verifyJwt(req, keys) : null;
+    if (failure) {
+        logger.warn('Assinatura da requisição recusada', { reason: failure });
+        return res.status(403).json({ error: 'Acesso não autorizado', code: ERROR_CODES.PERMISSION_DENIED });
+    }
+
+    next();
+}
+
+module.exports = { validateSecretKey, captureRawBody, matchesActiveKey, hashSecretKey, safeEqual };
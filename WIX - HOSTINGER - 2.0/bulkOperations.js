@@ -0,0 +1,268 @@
+const mysql = require('mysql2');
+const { executeTransaction } = require('./queryExecutor');
+const { deserializeItem } = require('./serializer');
+const { ERROR_CODES, ValidationError, toAdapterError } = require('./errors');
+
+// Quantidade máxima de itens aceita por requisição em lote
+const BULK_MAX_ITEMS = parseInt(process.env.BULK_MAX_ITEMS, 10) || 1000;
+
+// Valida a lista recebida antes de abrir qualquer transação
+function validateBulkList(list, name) {
+    if (!Array.isArray(list) || list.length === 0) {
+        throw new ValidationError(`A lista ${name} é obrigatória e não pode ser vazia.`);
+    }
+    if (list.length > BULK_MAX_ITEMS) {
+        throw new ValidationError(`A lista ${name} excede o limite de ${BULK_MAX_ITEMS} itens.`);
+    }
+}
+
+function isValidItem(item) {
+    return item && typeof item === 'object' && !Array.isArray(item) && Object.keys(item).length > 0;
+}
+
+// Campos de um item que falhou, com o código de erro do Wix; erros não reconhecidos não expõem detalhes do banco
+function failureOf(err) {
+    const adapterError = toAdapterError(err);
+    return adapterError
+        ? { status: 'failed', error: adapterError.message, code: adapterError.code }
+        : { status: 'failed', error: 'Erro ao gravar o item', code: ERROR_CODES.UNKNOWN_ERROR };
+}
+
+// Marca como desfeitos os itens que tinham sido gravados quando a transação é abortada
+function finalizeResults(results) {
+    const failed = results.some((result) => result.status === 'failed');
+    if (failed) {
+        for (const result of results) {
+            if (result.status === 'inserted') {
+                // O ID gerado deixa de existir com o rollback
+                delete result._id;
+            }
+            if (result.status !== 'failed') {
+                result.status = 'rolledBack';
+            }
+        }
+    }
+    return { committed: !failed, results };
+}
+
+// Finaliza os resultados dentro da transação, pedindo o rollback se algum item falhou
+function settleTransaction(results, markRollback) {
+    const outcome = finalizeResults(results);
+    if (!outcome.committed) {
+        markRollback();
+    }
+    return outcome;
+}
+
+// Converte cada item para colunas e o desserializa, marcando como falhos os que têm campos ou valores incompatíveis.
+// prepare aplica a política de dono ao registro convertido (stampOwner ou protectOwner).
+function deserializeAll(collection, items, columns, results, prepare) {
+    return items.map((item, index) => {
+        try {
+            return prepare(deserializeItem(collection.toRow(item), columns));
+        } catch (err) {
+            if (!(err instanceof ValidationError)) throw err;
+            results[index] = { ...results[index], ...failureOf(err) };
+            return null;
+        }
+    });
+}
+
+// Insere os itens em INSERTs de várias linhas, agrupados pelo conjunto de colunas.
+// Se um INSERT falhar, as linhas são reenviadas uma a uma para identificar quais itens falharam.
+async function bulkInsert(collection, items) {
+    validateBulkList(items, 'items');
+
+    const escapedTable = mysql.escapeId(collection.table);
+    const results = items.map((item, index) => (
+        isValidItem(item)
+            ? { index, status: 'pending' }
+            : { index, status: 'failed', error: 'O item deve ser um objeto não vazio.', code: ERROR_CODES.VALIDATION_ERROR }
+    ));
+
+    // Nada é gravado se algum item já é inválido
+    if (results.some((result) => result.status === 'failed')) {
+        return finalizeResults(results);
+    }
+
+    return executeTransaction(async (run, markRollback) => {
+        // Converte os valores do Wix conforme os tipos das colunas
+        const rows = deserializeAll(collection, items, await collection.describe(), results, collection.stampOwner);
+        if (results.some((result) => result.status === 'failed')) {
+            return settleTransaction(results, markRollback);
+        }
+
+        // Agrupa os itens pelas colunas informadas, preservando a ordem original
+        const groups = new Map();
+        rows.forEach((row, index) => {
+            const columns = Object.keys(row);
+            const signature = JSON.stringify(columns.slice().sort());
+            if (!groups.has(signature)) {
+                groups.set(signature, { columns, indexes: [] });
+            }
+            groups.get(signature).indexes.push(index);
+        });
+
+        // Intervalo entre os IDs gerados num mesmo INSERT (auto_increment_increment), lido só quando necessário
+        let autoIncrementStep = null;
+        const getAutoIncrementStep = async () => {
+            if (autoIncrementStep === null) {
+                const [{ step }] = await run('SELECT @@auto_increment_increment AS step');
+                autoIncrementStep = Number(step) || 1;
+            }
+            return autoIncrementStep;
+        };
+
+        for (const { columns, indexes } of groups.values()) {
+            const fields = columns.map((column) => mysql.escapeId(column)).join(', ');
+            const rowPlaceholder = `(${columns.map(() => '?').join(', ')})`;
+            const rowValues = (index) => columns.map((column) => rows[index][column]);
+
+            try {
+                const sql = `INSERT INTO ${escapedTable} (${fields}) VALUES ${indexes.map(() => rowPlaceholder).join(', ')}`;
+                const result = await run(sql, indexes.flatMap(rowValues));
+
+                // Num INSERT de várias linhas o MySQL devolve o ID da primeira; as demais seguem o auto_increment_increment
+                const step = result.insertId && indexes.length > 1 ? await getAutoIncrementStep() : 1;
+                indexes.forEach((index, position) => {
+                    const generatedId = result.insertId ? result.insertId + position * step : null;
+                    results[index] = { index, status: 'inserted', _id: collection.insertedId(rows[index], generatedId) };
+                });
+            } catch (err) {
+                // No MySQL a falha de um comando não aborta a transação, então dá para repetir linha a linha
+                const sql = `INSERT INTO ${escapedTable} (${fields}) VALUES ${rowPlaceholder}`;
+                for (const index of indexes) {
+                    try {
+                        const result = await run(sql, rowValues(index));
+                        results[index] = { index, status: 'inserted', _id: collection.insertedId(rows[index], result.insertId) };
+                    } catch (rowErr) {
+                        results[index] = { index, ...failureOf(rowErr) };
+                    }
+                }
+            }
+        }
+
+        return settleTransaction(results, markRollback);
+    });
+}
+
+// Atualiza cada item pelo _id dentro de uma única transação
+async function bulkUpdate(collection, items) {
+    validateBulkList(items, 'items');
+
+    const escapedTable = mysql.escapeId(collection.table);
+    const results = items.map((item, index) => {
+        if (!isValidItem(item) || item._id === undefined || item._id === null) {
+            return { index, status: 'failed', error: 'Item inválido ou ID ausente', code: ERROR_CODES.VALIDATION_ERROR };
+        }
+        if (Object.keys(item).every((key) => key === '_id')) {
+            return { index, _id: String(item._id), status: 'failed', error: 'Nenhum campo para atualizar', code: ERROR_CODES.VALIDATION_ERROR };
+        }
+        return { index, _id: String(item._id), status: 'pending' };
+    });
+
+    if (results.some((result) => result.status === 'failed')) {
+        return finalizeResults(results);
+    }
+
+    return executeTransaction(async (run, markRollback) => {
+        // Converte os valores do Wix conforme os tipos das colunas, sem o _id usado no WHERE
+        const changes = items.map(({ _id, ...fields }) => fields);
+        const rows = deserializeAll(collection, changes, await collection.describe(), results, collection.protectOwner);
+        if (results.some((result) => result.status === 'failed')) {
+            return settleTransaction(results, markRollback);
+        }
+
+        for (const [index, fields] of rows.entries()) {
+            const { _id } = items[index];
+
+            // Não sobra campo quando o item só trazia o dono, que membros não podem alterar
+            if (Object.keys(fields).length === 0) {
+                results[index] = { ...results[index], status: 'failed', error: 'Nenhum campo para atualizar', code: ERROR_CODES.VALIDATION_ERROR };
+                continue;
+            }
+
+            const assignments = Object.keys(fields).map((key) => `${mysql.escapeId(key)} = ?`).join(', ');
+
+            try {
+                const condition = collection.idCondition(_id, 'write');
+                const result = await run(`UPDATE ${escapedTable} SET ${assignments} WHERE ${condition.sql}`, [...Object.values(fields), ...condition.params]);
+                if (result.affectedRows === 0) {
+                    results[index] = { ...results[index], status: 'failed', error: 'Registro não encontrado', code: ERROR_CODES.ITEM_NOT_FOUND };
+                } else {
+                    results[index] = { ...results[index], status: 'updated' };
+                }
+            } catch (err) {
+                results[index] = { ...results[index], ...failureOf(err) };
+            }
+        }
+
+        return settleTransaction(results, markRollback);
+    });
+}
+
+// Remove os itens com um único DELETE ... IN (...), conferindo antes quais IDs existem
+async function bulkRemove(collection, itemIds) {
+    validateBulkList(itemIds, 'itemIds');
+
+    const escapedTable = mysql.escapeId(collection.table);
+    const results = itemIds.map((itemId, index) => (
+        itemId === undefined || itemId === null || itemId === ''
+            ? { index, status: 'failed', error: 'ID do item é obrigatório', code: ERROR_CODES.VALIDATION_ERROR }
+            : { index, _id: String(itemId), status: 'pending' }
+    ));
+
+    if (results.some((result) => result.status === 'failed')) {
+        return finalizeResults(results);
+    }
+
+    return executeTransaction(async (run, markRollback) => {
+        await collection.describe();
+
+        // IDs que não correspondem à chave da tabela (ex.: chave composta malformada) falham antes do SELECT
+        for (const result of results) {
+            try {
+                collection.idCondition(result._id);
+            } catch (err) {
+                if (!(err instanceof ValidationError)) throw err;
+                Object.assign(result, failureOf(err));
+            }
+        }
+        if (results.some((result) => result.status === 'failed')) {
+            return settleTransaction(results, markRollback);
+        }
+
+        // Só entram as linhas que o chamador pode alterar; as demais aparecem como não encontradas
+        const condition = collection.idsCondition(itemIds, 'write');
+        const keyColumns = collection.getPrimaryKey().map((column) => mysql.escapeId(column)).join(', ');
+
+        // Bloqueia as linhas encontradas para que o DELETE remova exatamente o que foi conferido
+        const existing = await run(`SELECT ${keyColumns} FROM ${escapedTable} WHERE ${condition.sql} FOR UPDATE`, condition.params);
+
+        // Cada ID corresponde a no máximo uma linha, então faltam registros quando há menos linhas que IDs distintos.
+        // Só então os IDs são conferidos um a um, pelo próprio MySQL: a comparação depende da collation
+        // e do tipo da coluna (ex.: "ABC" e "abc", ou "05" e 5), e comparar as strings daria falsos ausentes.
+        if (existing.length < new Set(results.map((result) => result._id)).size) {
+            for (const result of results) {
+                const itemCondition = collection.idCondition(result._id, 'write');
+                const found = await run(`SELECT 1 FROM ${escapedTable} WHERE ${itemCondition.sql} LIMIT 1`, itemCondition.params);
+                if (found.length === 0) {
+                    Object.assign(result, { status: 'failed', error: 'Registro não encontrado', code: ERROR_CODES.ITEM_NOT_FOUND });
+                }
+            }
+        }
+
+        if (results.some((result) => result.status === 'failed')) {
+            return settleTransaction(results, markRollback);
+        }
+
+        await run(`DELETE FROM ${escapedTable} WHERE ${condition.sql}`, condition.params);
+        for (const result of results) {
+            result.status = 'removed';
+        }
+
+        return finalizeResults(results);
+    });
+}
+
+module.exports = { bulkInsert, bulkUpdate, bulkRemove };
@@ -0,0 +1,333 @@
+const fs = require('fs');
+const path = require('path');
+const mysql = require('mysql2');
+const { ERROR_CODES, ValidationError, NotFoundError, PermissionError } = require('./errors');
+const { getTableColumns } = require('./tableSchema');
+const { normalizeFilter } = require('./filterTranslator');
+const { resolvePrimaryKey, encodeId, buildIdCondition, buildIdsCondition, rewriteIdFilter } = require('./primaryKey');
+const { normalizeOwnership, buildOwnerCondition, stampOwner, protectOwner, andConditions } = require('./ownership');
+const { resolveRole, normalizePermissions, isOperationAllowed } = require('./permissions');
+const { logger } = require('./logger');
+const { markCollectionResolved } = require('./metrics');
+
+// Operações do Wix que podem ser liberadas por coleção
+const ALL_OPERATIONS = ['get', 'find', 'count', 'update', 'insert', 'remove'];
+const WRITE_OPERATIONS = ['update', 'insert', 'remove'];
+
+// Valores usados quando a coleção não define o próprio comportamento
+const DEFAULT_SETTINGS = {
+    hidden: false,
+    readOnly: false,
+    allowedOperations: ALL_OPERATIONS,
+    maxPageSize: 50,
+    ttl: 3600,
+    hiddenColumns: [],
+    fieldAliases: {}
+};
+
+// Arquivos procurados quando COLLECTIONS_CONFIG não é informado
+const DEFAULT_CONFIG_FILES = ['collections.config.js', 'collections.config.json'];
+
+let loadedConfig = null;
+
+// Carrega o arquivo de configuração (JSON ou JS) uma única vez.
+// Formato: { defaults: {...}, exposeUnlisted: true, collections: { nome: {...} } }
+// primaryKey aceita uma coluna ou uma lista de colunas (chave composta).
+// ownership define quem lê e altera cada linha: { column: '_owner', read: 'own', write: 'own' }.
+// permissions define os papéis liberados por operação: { insert: ['admin'], find: ['admin', 'member'] }.
+function loadConfig() {
+    if (loadedConfig) {
+        return loadedConfig;
+    }
+
+    const candidates = process.env.COLLECTIONS_CONFIG
+        ? [path.resolve(process.env.COLLECTIONS_CONFIG)]
+        : DEFAULT_CONFIG_FILES.map((file) => path.join(__dirname, file));
+    const configFile = candidates.find((file) => fs.existsSync(file));
+
+    if (process.env.COLLECTIONS_CONFIG && !configFile) {
+        throw new Error(`Arquivo de configuração de coleções não encontrado: ${process.env.COLLECTIONS_CONFIG}`);
+    }
+
+    const raw = configFile ? require(configFile) : {};
+    loadedConfig = {
+        defaults: { ...DEFAULT_SETTINGS, ...(raw.defaults || {}) },
+        exposeUnlisted: raw.exposeUnlisted !== false,
+        collections: raw.collections || {}
+    };
+
+    if (configFile) {
+        logger.info('Configuração de coleções carregada', { file: configFile });
+    }
+
+    return loadedConfig;
+}
+
+// Devolve as configurações efetivas da coleção, já combinadas com os padrões
+function getCollectionSettings(name) {
+    const config = loadConfig();
+    const listed = Object.prototype.hasOwnProperty.call(config.collections, name);
+    const settings = { ...config.defaults, ...(listed ? config.collections[name] : {}) };
+
+    // Coleções fora do arquivo só são expostas com exposeUnlisted
+    const hidden = Boolean(settings.hidden) || (!listed && !config.exposeUnlisted);
+
+    // Coleções somente leitura nunca expõem operações de escrita
+    const allowedOperations = settings.allowedOperations
+        .filter((operation) => ALL_OPERATIONS.includes(operation))
+        .filter((operation) => !settings.readOnly || !WRITE_OPERATIONS.includes(operation));
+
+    return {
+        displayName: settings.displayName || name,
+        hidden,
+        readOnly: Boolean(settings.readOnly),
+        allowedOperations,
+        maxPageSize: settings.maxPageSize,
+        ttl: settings.ttl,
+        hiddenColumns: settings.hiddenColumns || [],
+        fieldAliases: settings.fieldAliases || {},
+        primaryKey: settings.primaryKey || null,
+        ownership: normalizeOwnership(settings.ownership),
+        permissions: normalizePermissions(settings.permissions, ALL_OPERATIONS)
+    };
+}
+
+// Nomes das coleções listadas no arquivo de configuração
+function listConfiguredCollections() {
+    return Object.keys(loadConfig().collections);
+}
+
+function isCollectionExposed(name) {
+    return !getCollectionSettings(name).hidden;
+}
+
+// Resolve a coleção para uma operação, aplicando exposição, operações permitidas e o papel do chamador.
+// Devolve um contexto que traduz nomes de campos do Wix para colunas e vice-versa
+// e aplica a política de dono ao requestContext informado.
+function resolveCollection(name, operation, requestContext) {
+    if (!name || typeof name !== 'string') {
+        throw new ValidationError('Nome da coleção é obrigatório');
+    }
+
+    const settings = getCollectionSettings(name);
+
+    if (settings.hidden) {
+        throw new NotFoundError(`Coleção não encontrada: ${name}`, ERROR_CODES.COLLECTION_NOT_FOUND);
+    }
+    if (operation && !settings.allowedOperations.includes(operation)) {
+        throw new PermissionError(`Operação '${operation}' não permitida na coleção ${name}`);
+    }
+
+    const role = resolveRole(requestContext);
+    if (operation && !isOperationAllowed(settings.permissions, role, operation)) {
+        throw new PermissionError(`O papel '${role}' não tem permissão para '${operation}' na coleção ${name}`);
+    }
+    markCollectionResolved(name);
+
+    // Nomes de colunas são comparados sem diferenciar maiúsculas, como o MySQL faz
+    const hiddenColumns = new Set(settings.hiddenColumns.map((column) => column.toLowerCase()));
+    const fieldToColumn = new Map(Object.entries(settings.fieldAliases));
+    const columnToField = new Map(Object.entries(settings.fieldAliases).map(([field, column]) => [column.toLowerCase(), field]));
+
+    // Preenchidos por describe(); até lá o _id é tratado como uma coluna comum
+    let columns = null;
+    let primaryKey = null;
+
+    // Chave simples com outro nome é exposta como _id; chave composta ganha um _id codificado
+    const singleKey = () => (primaryKey && primaryKey.length === 1 ? primaryKey[0] : null);
+    const isCompositeKey = () => Boolean(primaryKey && primaryKey.length > 1);
+    const isAutoIncrementKey = () => {
+        const key = singleKey();
+        return Boolean(key && columns.some((column) => column.name === key && column.extra.includes('auto_increment')));
+    };
+
+    // Coluna da tabela com o nome informado, sem diferenciar maiúsculas; null quando não existe
+    const findColumn = (columnName) => {
+        if (!columns) {
+            throw new Error(`A coleção ${name} precisa ser descrita com describe() antes de resolver campos`);
+        }
+        const lower = String(columnName).toLowerCase();
+        const match = columns.find((column) => column.name.toLowerCase() === lower);
+        return match ? match.name : null;
+    };
+
+    // Converte o nome do campo no Wix para a coluna real da tabela (já descrita). Campos sem coluna,
+    // colunas ocultas e o nome real de colunas com apelido são recusados. Com allowNew, um campo sem coluna
+    // é aceito com o próprio nome (ex.: colunas criadas pela atualização de schema).
+    const toColumn = (fieldName, { allowNew = false } = {}) => {
+        if (fieldName === '_id' && primaryKey) {
+            if (isCompositeKey()) {
+                throw new ValidationError(`O _id da coleção ${name} combina as colunas ${primaryKey.join(', ')} e só aceita $eq, $ne e $hasSome`);
+            }
+            return singleKey() || fieldName;
+        }
+
+        const requested = fieldToColumn.get(fieldName) || fieldName;
+        const column = findColumn(requested) || (allowNew ? requested : null);
+        if (!column) {
+            throw new ValidationError(`Campo desconhecido: ${fieldName}`);
+        }
+
+        const key = column.toLowerCase();
+        const renamedKey = singleKey() && singleKey() !== '_id' && key === singleKey().toLowerCase();
+        const aliasedColumn = columnToField.has(key) && !fieldToColumn.has(fieldName);
+        if (hiddenColumns.has(key) || renamedKey || aliasedColumn) {
+            throw new ValidationError(`Campo desconhecido: ${fieldName}`);
+        }
+        return column;
+    };
+
+    // Nome do campo exposto ao Wix para a coluna (null quando a coluna é oculta)
+    const toField = (column) => {
+        const key = column.toLowerCase();
+        if (hiddenColumns.has(key)) {
+            return null;
+        }
+        return column === singleKey() ? '_id' : columnToField.get(key) || column;
+    };
+
+    // _id do Wix para um registro da tabela
+    const toId = (row) => encodeId(row, primaryKey || ['_id']);
+
+    // Colunas da projeção pedida pelo Wix (fields); null quando todas as colunas devem ser lidas.
+    // Campos inexistentes, ocultos ou que não são strings são recusados.
+    const projectedColumns = (fields) => {
+        if (fields === undefined || fields === null) {
+            return null;
+        }
+        if (!Array.isArray(fields) || fields.some((field) => typeof field !== 'string' || field === '')) {
+            throw new ValidationError('fields deve ser uma lista com os nomes dos campos');
+        }
+        if (fields.length === 0) {
+            return null;
+        }
+
+        const known = new Set(columns.map((column) => column.name));
+        return fields.filter((field) => field !== '_id').map((field) => {
+            const column = toColumn(field);
+            if (!known.has(column)) {
+                throw new ValidationError(`Campo desconhecido: ${field}`);
+            }
+            return column;
+        });
+    };
+
+    // Coleção referenciada pela coluna (chave estrangeira para a chave primária de uma coleção exposta), ou null
+    const referenceOf = (column) => {
+        const info = columns && columns.find((candidate) => candidate.name === column);
+        const reference = info && info.reference;
+        return reference && reference.toPrimaryKey && isCollectionExposed(reference.table) ? reference.table : null;
+    };
+
+    // Restrição de dono para leitura ("read") ou escrita ("write"); null quando não se aplica
+    const ownerCondition = (access) => buildOwnerCondition(settings.ownership, columns, requestContext, access);
+
+    return {
+        name,
+        table: name,
+        settings,
+        role,
+
+        // Operações que o papel do chamador pode executar, anunciadas nos schemas
+        allowedOperations: settings.allowedOperations.filter((allowed) => isOperationAllowed(settings.permissions, role, allowed)),
+
+        toColumn,
+        toField,
+        toId,
+        referenceOf,
+        escapedColumn: (fieldName) => mysql.escapeId(toColumn(fieldName)),
+
+        // Lê as colunas da tabela (do cache de schemas, válido pelo ttl da coleção) e determina a chave primária exposta como _id
+        describe: async () => {
+            columns = await getTableColumns(name, settings.ttl);
+            primaryKey = resolvePrimaryKey(settings.primaryKey, columns);
+            return columns;
+        },
+        getColumns: () => columns,
+        getPrimaryKey: () => primaryKey,
+        ownerCondition,
+
+        // Condições SQL para localizar registros pelo _id do Wix.
+        // Com access ("read"/"write") a política de dono também é aplicada.
+        idCondition: (id, access) => andConditions(buildIdCondition(id, primaryKey || ['_id']), access && ownerCondition(access)),
+        idsCondition: (ids, access) => andConditions(buildIdsCondition(ids, primaryKey || ['_id']), access && ownerCondition(access)),
+
+        // Preenche o dono no insert e impede que membros o alterem no update
+        stampOwner: (row) => stampOwner(settings.ownership, columns, requestContext, row),
+        protectOwner: (row) => protectOwner(settings.ownership, requestContext, row),
+
+        // Expande condições sobre o _id de chaves compostas antes de traduzir o filtro
+        prepareFilter: (filter) => {
+            if (!filter || typeof filter !== 'object' || Object.keys(filter).length === 0 || !isCompositeKey()) {
+                return filter;
+            }
+            return rewriteIdFilter(normalizeFilter(filter), primaryKey);
+        },
+
+        // Renomeia as chaves de um item do Wix para colunas.
+        // O _id vira a coluna da chave (ou as colunas da chave composta); chaves auto_increment o ignoram.
+        toRow: (item) => {
+            const { _id: id, ...fields } = item;
+            const row = Object.fromEntries(Object.entries(fields).map(([key, value]) => [toColumn(key), value]));
+
+            if (id === undefined || !primaryKey) {
+                return id === undefined ? row : { _id: id, ...row };
+            }
+            if (isCompositeKey()) {
+                buildIdCondition(id, primaryKey).params.forEach((value, index) => {
+                    if (!(primaryKey[index] in row)) {
+                        row[primaryKey[index]] = value;
+                    }
+                });
+            } else if (singleKey() && !isAutoIncrementKey()) {
+                row[singleKey()] = id;
+            }
+            return row;
+        },
+
+        // _id do registro recém-inserido: o gerado pelo banco ou o montado a partir das colunas da chave
+        insertedId: (row, insertId) => {
+            if (isAutoIncrementKey() && insertId) {
+                return String(insertId);
+            }
+            const id = toId(row);
+            return id === undefined || id === null ? null : id;
+        },
+
+        // Lista do SELECT para a projeção: a chave primária (o _id) sempre entra, assim como as
+        // colunas extras que o adaptador precisa ler (ex.: as de ordenação do cursor)
+        selectList: (fields, extraColumns = []) => {
+            const projected = projectedColumns(fields);
+            if (!projected) {
+                return '*';
+            }
+            const selected = new Set([...(primaryKey || []), ...projected, ...extraColumns]);
+            return [...selected].map((column) => mysql.escapeId(column)).join(', ');
+        },
+
+        // Mantém no item apenas o _id e os campos pedidos na projeção (sem projeção, devolve o item inteiro)
+        project: (item, fields) => {
+            if (!Array.isArray(fields) || fields.length === 0) {
+                return item;
+            }
+            const requested = new Set(['_id', ...fields]);
+            return Object.fromEntries(Object.entries(item).filter(([fieldName]) => requested.has(fieldName)));
+        },
+
+        // Renomeia as colunas de um registro para campos do Wix, removendo as ocultas.
+        // O _id e os campos de referência são sempre texto, mesmo quando as chaves são numéricas.
+        toItem: (row) => {
+            const item = isCompositeKey() ? { _id: toId(row) } : {};
+            for (const [column, value] of Object.entries(row)) {
+                const fieldName = toField(column);
+                if (fieldName) {
+                    const isKey = fieldName === '_id' || Boolean(referenceOf(column));
+                    item[fieldName] = isKey && value !== null && value !== undefined ? String(value) : value;
+                }
+            }
+            return item;
+        }
+    };
+}
+
+module.exports = { getCollectionSettings, listConfiguredCollections, isCollectionExposed, resolveCollection };
@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const mysql = require('mysql2');
+const { ValidationError } = require('./errors');
+
+// Versão do formato do cursor; cursores de outra versão são recusados
+const CURSOR_VERSION = 1;
+
+// Colunas de ordenação da paginação por cursor: a ordenação pedida pelo Wix seguida das colunas da chave
+// primária ainda não incluídas, para que cada linha tenha uma posição única
+function resolveSortKeys(sort, collection) {
+    const nullable = new Set(collection.getColumns().filter((column) => column.nullable).map((column) => column.name));
+    const keys = (Array.isArray(sort) ? sort : []).map(({ fieldName, order, direction }) => {
+        if (!fieldName || typeof fieldName !== 'string') {
+            throw new ValidationError('Cada item de ordenação exige o campo fieldName');
+        }
+        const column = collection.toColumn(fieldName);
+        const descending = String(order || direction || 'ASC').toUpperCase() === 'DESC';
+        return { column, descending, nullable: nullable.has(column) };
+    });
+
+    const primaryKey = collection.getPrimaryKey();
+    if (primaryKey.length === 0) {
+        throw new ValidationError(`A coleção ${collection.name} não tem chave primária e não aceita paginação por cursor`);
+    }
+    for (const column of primaryKey) {
+        if (!keys.some((key) => key.column === column)) {
+            keys.push({ column, descending: false, nullable: false });
+        }
+    }
+    return keys;
+}
+
+function buildKeysetOrderBy(keys) {
+    return ` ORDER BY ${keys.map(({ column, descending }) => `${mysql.escapeId(column)} ${descending ? 'DESC' : 'ASC'}`).join(', ')}`;
+}
+
+// Identifica a consulta (coleção, filtro e ordenação) para que o cursor não seja usado em outra
+function fingerprint(collectionName, filter, keys) {
+    return crypto.createHash('sha256')
+        .update(JSON.stringify([collectionName, filter || {}, keys]))
+        .digest('base64url')
+        .slice(0, 16);
+}
+
+// Datas e binários precisam voltar ao tipo original para serem comparados pelo MySQL
+function encodeValue(value) {
+    if (value instanceof Date) return { $date: value.toISOString() };
+    if (Buffer.isBuffer(value)) return { $binary: value.toString('base64') };
+    return value;
+}
+
+function decodeValue(value) {
+    if (value && typeof value === 'object') {
+        if (typeof value.$date === 'string') return new Date(value.$date);
+        if (typeof value.$binary === 'string') return Buffer.from(value.$binary, 'base64');
+        throw new ValidationError('Cursor inválido');
+    }
+    return value;
+}
+
+// Cursor opaco com os valores das colunas de ordenação da última linha da página
+function encodeCursor(row, keys, queryFingerprint) {
+    const payload = { v: CURSOR_VERSION, q: queryFingerprint, k: keys.map(({ column }) => encodeValue(row[column])) };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(cursor, keys, queryFingerprint) {
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (err) {
+        throw new ValidationError('Cursor inválido');
+    }
+    if (!payload || payload.v !== CURSOR_VERSION || !Array.isArray(payload.k)) {
+        throw new ValidationError('Cursor inválido');
+    }
+    if (payload.q !== queryFingerprint) {
+        throw new ValidationError('O cursor pertence a outra consulta (coleção, filtro ou ordenação diferentes)');
+    }
+    if (payload.k.length !== keys.length) {
+        throw new ValidationError('Cursor inválido');
+    }
+    return payload.k.map(decodeValue);
+}
+
+// Condição "vem depois de" para uma coluna. No MySQL, NULL fica antes de tudo em ASC e depois de tudo em DESC.
+function afterCondition(column, descending, value) {
+    if (value === null || value === undefined) {
+        return descending ? { sql: '1 = 0', params: [] } : { sql: `${column} IS NOT NULL`, params: [] };
+    }
+    return descending
+        ? { sql: `(${column} < ? OR ${column} IS NULL)`, params: [value] }
+        : { sql: `${column} > ?`, params: [value] };
+}
+
+function equalCondition(column, value) {
+    return value === null || value === undefined
+        ? { sql: `${column} IS NULL`, params: [] }
+        : { sql: `${column} = ?`, params: [value] };
+}
+
+// Predicado de busca (seek) a partir dos valores do cursor.
+// Com todas as colunas na mesma direção e sem NULL em jogo usa a comparação de linhas (k1, k2) > (?, ?),
+// que o MySQL resolve com uma faixa do índice; nos demais casos expande em
+// (k1 após v1) OR (k1 = v1 AND k2 após v2) OR ..., que aceita direções diferentes por coluna.
+function buildSeekCondition(keys, values) {
+    const descending = keys[0].descending;
+    const sameDirection = keys.every((key) => key.descending === descending);
+    const hasNull = values.some((value) => value === null || value === undefined);
+    // Em DESC as linhas com NULL vêm por último e a comparação de linhas as deixaria de fora
+    if (sameDirection && !hasNull && (!descending || keys.every((key) => !key.nullable))) {
+        return {
+            sql: `(${keys.map(({ column }) => mysql.escapeId(column)).join(', ')}) ${descending ? '<' : '>'} (${keys.map(() => '?').join(', ')})`,
+            params: values
+        };
+    }
+
+    const branches = keys.map((key, index) => {
+        const parts = [
+            ...keys.slice(0, index).map((previous, position) => equalCondition(mysql.escapeId(previous.column), values[position])),
+            afterCondition(mysql.escapeId(key.column), key.descending, values[index])
+        ];
+        return {
+            sql: `(${parts.map((part) => part.sql).join(' AND ')})`,
+            params: parts.flatMap((part) => part.params)
+        };
+    });
+
+    return {
+        sql: `(${branches.map((branch) => branch.sql).join(' OR ')})`,
+        params: branches.flatMap((branch) => branch.params)
+    };
+}
+
+module.exports = { resolveSortKeys, buildKeysetOrderBy, fingerprint, encodeCursor, decodeCursor, buildSeekCondition };
@@ -0,0 +1,142 @@
+// Códigos de erro devolvidos ao Wix, no formato dos ErrorCode do SPI de banco externo
+const ERROR_CODES = {
+    VALIDATION_ERROR: 'VALIDATION_ERROR',
+    FIELD_TOO_LONG: 'FIELD_TOO_LONG',
+    ITEM_NOT_FOUND: 'ITEM_NOT_FOUND',
+    ITEM_ALREADY_EXISTS: 'ITEM_ALREADY_EXISTS',
+    COLLECTION_NOT_FOUND: 'COLLECTION_NOT_FOUND',
+    COLLECTION_ALREADY_EXISTS: 'COLLECTION_ALREADY_EXISTS',
+    FIELD_ALREADY_EXISTS: 'FIELD_ALREADY_EXISTS',
+    REFERENCE_NOT_FOUND: 'REFERENCE_NOT_FOUND',
+    REFERENCE_IN_USE: 'REFERENCE_IN_USE',
+    PERMISSION_DENIED: 'PERMISSION_DENIED',
+    DATABASE_UNAVAILABLE: 'DATABASE_UNAVAILABLE',
+    UNKNOWN_ERROR: 'UNKNOWN_ERROR'
+};
+
+// Erro lançado quando os dados enviados pelo Wix não podem ser processados
+class ValidationError extends Error {
+    constructor(message, code = ERROR_CODES.VALIDATION_ERROR) {
+        super(message);
+        this.name = 'ValidationError';
+        this.statusCode = 400;
+        this.code = code;
+    }
+}
+
+// Erro lançado quando a coleção ou o item solicitado não existe (ou não é exposto ao Wix)
+class NotFoundError extends Error {
+    constructor(message, code = ERROR_CODES.ITEM_NOT_FOUND) {
+        super(message);
+        this.name = 'NotFoundError';
+        this.statusCode = 404;
+        this.code = code;
+    }
+}
+
+// Erro lançado quando a operação não é permitida para a coleção
+class PermissionError extends Error {
+    constructor(message, code = ERROR_CODES.PERMISSION_DENIED) {
+        super(message);
+        this.name = 'PermissionError';
+        this.statusCode = 403;
+        this.code = code;
+    }
+}
+
+// Erro lançado quando o item, coleção ou campo já existe ou ainda é referenciado
+class ConflictError extends Error {
+    constructor(message, code = ERROR_CODES.ITEM_ALREADY_EXISTS) {
+        super(message);
+        this.name = 'ConflictError';
+        this.statusCode = 409;
+        this.code = code;
+    }
+}
+
+// Erro lançado quando o banco de dados não está acessível
+class UnavailableError extends Error {
+    constructor(message, code = ERROR_CODES.DATABASE_UNAVAILABLE) {
+        super(message);
+        this.name = 'UnavailableError';
+        this.statusCode = 503;
+        this.code = code;
+    }
+}
+
+// Indica se o erro foi lançado pelo adaptador e já traz o status HTTP da resposta
+function isAdapterError(err) {
+    return err instanceof ValidationError || err instanceof NotFoundError || err instanceof PermissionError
+        || err instanceof ConflictError || err instanceof UnavailableError;
+}
+
+// Extrai da mensagem do MySQL o nome citado após a palavra indicada (coluna, tabela ou chave)
+function mentioned(err, pattern) {
+    const match = pattern.exec(String((err && err.sqlMessage) || ''));
+    return match ? match[1].split('.').pop() : '';
+}
+
+const columnOf = (err) => mentioned(err, /(?:column(?: name)?|field) '([^']+)'/i);
+const tableOf = (err) => mentioned(err, /table '([^']+)'/i);
+
+// Chave violada num ER_DUP_ENTRY; a chave primária é o _id do Wix
+function duplicateKeyOf(err) {
+    const key = mentioned(err, /for key '([^']+)'/i);
+    return !key || key === 'PRIMARY' ? '_id' : key;
+}
+
+// Erros do MySQL traduzidos para erros do adaptador, pelo código do mysql2
+const MYSQL_ERRORS = {
+    ER_DUP_ENTRY: (err) => new ConflictError(`Já existe um item com o mesmo valor em ${duplicateKeyOf(err)}`),
+    ER_NO_SUCH_TABLE: (err) => new NotFoundError(`Coleção não encontrada: ${tableOf(err)}`, ERROR_CODES.COLLECTION_NOT_FOUND),
+    ER_BAD_FIELD_ERROR: (err) => new ValidationError(`Campo desconhecido: ${columnOf(err)}`),
+    ER_DATA_TOO_LONG: (err) => new ValidationError(`Valor longo demais para o campo ${columnOf(err)}`, ERROR_CODES.FIELD_TOO_LONG),
+    ER_BAD_NULL_ERROR: (err) => new ValidationError(`O campo ${columnOf(err)} é obrigatório`),
+    ER_NO_DEFAULT_FOR_FIELD: (err) => new ValidationError(`O campo ${columnOf(err)} é obrigatório`),
+    ER_TRUNCATED_WRONG_VALUE: (err) => new ValidationError(`Valor em formato inválido para o campo ${columnOf(err)}`),
+    ER_TRUNCATED_WRONG_VALUE_FOR_FIELD: (err) => new ValidationError(`Valor em formato inválido para o campo ${columnOf(err)}`),
+    ER_WARN_DATA_OUT_OF_RANGE: (err) => new ValidationError(`Valor fora do intervalo permitido para o campo ${columnOf(err)}`),
+    ER_PARSE_ERROR: () => new ValidationError('Consulta SQL inválida'),
+    ER_NO_REFERENCED_ROW_2: () => new ValidationError('O item referenciado não existe', ERROR_CODES.REFERENCE_NOT_FOUND),
+    ER_ROW_IS_REFERENCED_2: () => new ConflictError('O item ainda é referenciado por outra coleção', ERROR_CODES.REFERENCE_IN_USE),
+    ER_TABLE_EXISTS_ERROR: (err) => new ConflictError(`A coleção ${tableOf(err)} já existe`, ERROR_CODES.COLLECTION_ALREADY_EXISTS),
+    ER_DUP_FIELDNAME: (err) => new ConflictError(`O campo ${columnOf(err)} já existe`, ERROR_CODES.FIELD_ALREADY_EXISTS),
+    ER_ACCESS_DENIED_ERROR: () => new UnavailableError('Banco de dados indisponível'),
+    ER_BAD_DB_ERROR: () => new UnavailableError('Banco de dados indisponível'),
+    ER_CON_COUNT_ERROR: () => new UnavailableError('Banco de dados indisponível'),
+    PROTOCOL_CONNECTION_LOST: () => new UnavailableError('Banco de dados indisponível'),
+    ECONNREFUSED: () => new UnavailableError('Banco de dados indisponível'),
+    ETIMEDOUT: () => new UnavailableError('Banco de dados indisponível')
+};
+
+// Converte qualquer erro num erro do adaptador com status e código do Wix, ou null se não for reconhecido
+function toAdapterError(err) {
+    if (isAdapterError(err)) {
+        return err;
+    }
+    if (err && MYSQL_ERRORS[err.code]) {
+        return MYSQL_ERRORS[err.code](err);
+    }
+    // JSON malformado no corpo da requisição (express.json)
+    if (err && err.type === 'entity.parse.failed') {
+        return new ValidationError('Corpo da requisição não é um JSON válido');
+    }
+    // Corpo maior que o BODY_LIMIT (express.json); responde 413 mantendo o código de validação
+    if (err && err.type === 'entity.too.large') {
+        const tooLarge = new ValidationError(`Corpo da requisição excede o limite de ${err.limit} bytes (BODY_LIMIT)`);
+        tooLarge.statusCode = 413;
+        return tooLarge;
+    }
+    return null;
+}
+
+module.exports = {
+    ERROR_CODES,
+    ValidationError,
+    NotFoundError,
+    PermissionError,
+    ConflictError,
+    UnavailableError,
+    isAdapterError,
+    toAdapterError
+};
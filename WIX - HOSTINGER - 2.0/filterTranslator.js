@@ -0,0 +1,160 @@
+const mysql = require('mysql2');
+const { ValidationError } = require('./errors');
+
+// Operadores de comparação suportados e o operador SQL correspondente
+const COMPARISON_OPERATORS = {
+    $eq: '=',
+    $ne: '<>',
+    $lt: '<',
+    $lte: '<=',
+    $gt: '>',
+    $gte: '>='
+};
+
+// Converte valores no formato Wix (ex.: { $date: '...' }) para valores aceitos pelo MySQL
+function normalizeValue(value) {
+    if (value && typeof value === 'object' && !Array.isArray(value) && '$date' in value) {
+        const date = new Date(value.$date);
+        if (isNaN(date.getTime())) {
+            throw new ValidationError(`Data inválida no filtro: ${value.$date}`);
+        }
+        return date;
+    }
+    return value;
+}
+
+// Escapa os curingas do LIKE para que o valor seja comparado literalmente
+function escapeLike(value) {
+    return String(value).replace(/[\\%_]/g, (char) => `\\${char}`);
+}
+
+// Traduz um nó da árvore de filtros do Wix para uma condição SQL parametrizada
+function translateNode(node, resolveField) {
+    if (!node || typeof node !== 'object' || Array.isArray(node)) {
+        throw new ValidationError('Filtro inválido');
+    }
+
+    const { operator, fieldName, value } = node;
+
+    switch (operator) {
+        case '$and':
+        case '$or': {
+            if (!Array.isArray(value)) {
+                throw new ValidationError(`O operador ${operator} exige uma lista de filtros`);
+            }
+            if (value.length === 0) {
+                return { sql: operator === '$and' ? '1 = 1' : '1 = 0', params: [] };
+            }
+            const parts = value.map((child) => translateNode(child, resolveField));
+            const joiner = operator === '$and' ? ' AND ' : ' OR ';
+            return {
+                sql: `(${parts.map((part) => part.sql).join(joiner)})`,
+                params: parts.flatMap((part) => part.params)
+            };
+        }
+        case '$not': {
+            const child = translateNode(Array.isArray(value) ? value[0] : value, resolveField);
+            return { sql: `NOT (${child.sql})`, params: child.params };
+        }
+    }
+
+    if (!fieldName || typeof fieldName !== 'string') {
+        throw new ValidationError(`O operador ${operator} exige o campo fieldName`);
+    }
+
+    const column = resolveField(fieldName);
+
+    if (operator in COMPARISON_OPERATORS) {
+        const normalized = normalizeValue(value);
+        if (normalized === null || normalized === undefined) {
+            if (operator === '$eq') return { sql: `${column} IS NULL`, params: [] };
+            if (operator === '$ne') return { sql: `${column} IS NOT NULL`, params: [] };
+            throw new ValidationError(`O operador ${operator} não aceita valor nulo`);
+        }
+        return { sql: `${column} ${COMPARISON_OPERATORS[operator]} ?`, params: [normalized] };
+    }
+
+    switch (operator) {
+        case '$hasSome': {
+            if (!Array.isArray(value)) {
+                throw new ValidationError('O valor do filtro deve ser um array para o operador $hasSome');
+            }
+            // IN () é inválido no MySQL; uma lista vazia nunca encontra registros
+            if (value.length === 0) return { sql: '1 = 0', params: [] };
+            return {
+                sql: `${column} IN (${value.map(() => '?').join(', ')})`,
+                params: value.map(normalizeValue)
+            };
+        }
+        case '$contains':
+            return { sql: `${column} LIKE ?`, params: [`%${escapeLike(value)}%`] };
+        case '$startsWith':
+            return { sql: `${column} LIKE ?`, params: [`${escapeLike(value)}%`] };
+        case '$endsWith':
+            return { sql: `${column} LIKE ?`, params: [`%${escapeLike(value)}`] };
+        default:
+            throw new ValidationError(`Operador de filtro inválido: ${operator}`);
+    }
+}
+
+// Aceita também o formato antigo { campo: valor }, tratado como igualdade entre todos os campos
+function normalizeFilter(filter) {
+    if ('operator' in filter) {
+        return filter;
+    }
+    return {
+        operator: '$and',
+        value: Object.entries(filter).map(([fieldName, value]) => ({ operator: '$eq', fieldName, value }))
+    };
+}
+
+// Monta a cláusula WHERE a partir do filtro do Wix.
+// condition ({ sql, params }) é somada ao filtro com AND, ex.: a restrição de dono da coleção.
+// Retorna { clause: '' , params: [] } quando não há filtro nem condição.
+function buildWhereClause(filter, { resolveField = (fieldName) => mysql.escapeId(fieldName), condition = null } = {}) {
+    const parts = [];
+
+    if (filter && typeof filter === 'object' && Object.keys(filter).length > 0) {
+        parts.push(translateNode(normalizeFilter(filter), resolveField));
+    }
+    if (condition) {
+        parts.push(condition);
+    }
+    if (parts.length === 0) {
+        return { clause: '', params: [] };
+    }
+
+    return {
+        clause: ` WHERE ${parts.map((part) => part.sql).join(' AND ')}`,
+        params: parts.flatMap((part) => part.params)
+    };
+}
+
+// Monta a cláusula ORDER BY a partir da lista de ordenação do Wix.
+// Aceita tanto "order" quanto "direction" ('asc'/'desc'), sem diferenciar maiúsculas.
+function buildOrderByClause(sort, { resolveField = (fieldName) => mysql.escapeId(fieldName) } = {}) {
+    if (!Array.isArray(sort) || sort.length === 0) {
+        return '';
+    }
+
+    const sortConditions = sort.map(({ fieldName, order, direction }) => {
+        if (!fieldName || typeof fieldName !== 'string') {
+            throw new ValidationError('Cada item de ordenação exige o campo fieldName');
+        }
+        const sortOrder = String(order || direction || 'ASC').toUpperCase();
+        return `${resolveField(fieldName)} ${sortOrder === 'ASC' ? 'ASC' : 'DESC'}`;
+    }).join(', ');
+
+    return ` ORDER BY ${sortConditions}`;
+}
+
+// Monta a cláusula LIMIT com os valores no próprio SQL. Parâmetros do execute() seguem como DOUBLE,
+// que o MySQL 8.0.22+ recusa em LIMIT; por isso só inteiros não negativos são aceitos.
+function buildLimitClause(limit, offset = 0) {
+    if (!Number.isInteger(limit) || limit < 0 || !Number.isInteger(offset) || offset < 0) {
+        throw new ValidationError('limit e skip devem ser números inteiros não negativos');
+    }
+    return offset > 0 ? ` LIMIT ${offset}, ${limit}` : ` LIMIT ${limit}`;
+}
+
+module.exports = { buildWhereClause, buildOrderByClause, buildLimitClause, translateNode, normalizeFilter };
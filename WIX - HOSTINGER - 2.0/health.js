@@ -0,0 +1,77 @@
+const { version } = require('./package.json');
+const { executeQuery } = require('./queryExecutor');
+const { getConnection, getPoolStats } = require('./mysqlConnector');
+const { getSchemaCacheState } = require('./tableSchema');
+
+const startedAt = Date.now();
+
+// Tempo máximo de cada verificação do banco; HEALTH_TIMEOUT_MS (padrão 2000)
+function getTimeout() {
+    return parseInt(process.env.HEALTH_TIMEOUT_MS, 10) || 2000;
+}
+
+// Versão publicada: BUILD_VERSION (ex.: o commit do deploy) ou a versão do package.json
+function getVersion() {
+    return process.env.BUILD_VERSION || version;
+}
+
+function withTimeout(promise, ms, description) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Tempo esgotado ao ${description} (${ms} ms)`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Executa uma verificação medindo a duração; falhas viram { status: 'fail', error }
+async function runCheck(check) {
+    const started = Date.now();
+    try {
+        const details = await check();
+        return { status: 'ok', durationMs: Date.now() - started, ...details };
+    } catch (err) {
+        return { status: 'fail', durationMs: Date.now() - started, error: err.message, ...(err.code ? { code: err.code } : {}) };
+    }
+}
+
+// Obtém e devolve uma conexão do pool; se ela chegar depois do tempo limite, é devolvida assim que chegar
+async function checkPool(timeoutMs) {
+    const pending = getConnection();
+    try {
+        const connection = await withTimeout(pending, timeoutMs, 'obter conexão do pool');
+        connection.release();
+    } catch (err) {
+        pending.then((connection) => connection.release(), () => {});
+        throw err;
+    }
+    const { total, free, queued, limit } = getPoolStats();
+    return { open: total, inUse: total - free, queued, limit };
+}
+
+async function checkQuery(timeoutMs) {
+    await withTimeout(executeQuery('SELECT 1'), timeoutMs, 'executar SELECT 1');
+    return {};
+}
+
+// Liveness: o processo está de pé, sem tocar no banco
+function getLiveness() {
+    return {
+        status: 'ok',
+        version: getVersion(),
+        uptimeSeconds: Math.round((Date.now() - startedAt) / 1000)
+    };
+}
+
+// Readiness: conexão do pool, consulta trivial e estado do cache de schemas
+async function checkReadiness() {
+    const timeoutMs = getTimeout();
+
+    const pool = await runCheck(() => checkPool(timeoutMs));
+    const query = pool.status !== 'ok' ? { status: 'skipped' } : await runCheck(() => checkQuery(timeoutMs));
+    const checks = { pool, query, schemaCache: getSchemaCacheState() };
+
+    const failed = Object.values(checks).some((check) => check.status === 'fail') || query.status !== 'ok';
+    return { ...getLiveness(), status: failed ? 'fail' : 'ok', checks };
+}
+
+module.exports = { getLiveness, checkReadiness };
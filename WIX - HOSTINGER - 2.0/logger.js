@@ -0,0 +1,76 @@
+const { getScope } = require('./requestScope');
+
+// Níveis em ordem de severidade; LOG_LEVEL define o mínimo registrado (padrão: info)
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+// Campos cujo valor nunca vai para o log, em qualquer profundidade
+const SENSITIVE_KEY = /secret|password|passwd|token|authorization|signature|cookie|apikey|api_key|params|binds/i;
+const REDACTED = '[REDACTED]';
+
+function getLevel() {
+    const level = (process.env.LOG_LEVEL || 'info').toLowerCase();
+    return level in LEVELS ? level : 'info';
+}
+
+function isLevelEnabled(level) {
+    return LEVELS[level] <= LEVELS[getLevel()];
+}
+
+// Erros viram objetos simples; o stack só aparece com LOG_LEVEL=debug.
+// Mensagens do MySQL citam valores gravados (ex.: "Duplicate entry 'x' for key"), que são mascarados.
+function serializeError(err) {
+    const message = err.sqlState
+        ? String(err.message).replace(/\b(entry|value:?) '[^']*'/gi, `$1 '${REDACTED}'`)
+        : err.message;
+    const serialized = { name: err.name, message };
+    if (err.code) serialized.code = err.code;
+    if (isLevelEnabled('debug')) serialized.stack = err.stack;
+    return serialized;
+}
+
+// Copia os campos mascarando chaves sensíveis (chave secreta, senhas, assinaturas e parâmetros de consulta)
+function redact(value, depth = 0) {
+    if (value instanceof Error) {
+        return serializeError(value);
+    }
+    if (!value || typeof value !== 'object' || depth > 5) {
+        return value;
+    }
+    if (Array.isArray(value)) {
+        return value.map((item) => redact(item, depth + 1));
+    }
+
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+        copy[key] = SENSITIVE_KEY.test(key) ? REDACTED : redact(item, depth + 1);
+    }
+    return copy;
+}
+
+// Uma linha JSON por registro, com o ID da requisição atual quando houver
+function write(level, message, fields = {}) {
+    if (!isLevelEnabled(level)) {
+        return;
+    }
+
+    const { requestId } = getScope();
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        msg: message,
+        ...(requestId ? { requestId } : {}),
+        ...redact(fields)
+    };
+    const stream = level === 'error' || level === 'warn' ? process.stderr : process.stdout;
+    stream.write(`${JSON.stringify(entry)}\n`);
+}
+
+const logger = {
+    error: (message, fields) => write('error', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    debug: (message, fields) => write('debug', message, fields),
+    isLevelEnabled
+};
+
+module.exports = { logger };
@@ -0,0 +1,154 @@
+// Métricas no formato de texto do Prometheus, expostas em /metrics
+const { getScope, runInScope } = require('./requestScope');
+
+const PREFIX = 'wix_adapter_';
+
+// Limites dos histogramas de duração, em segundos
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Tipos de consulta contados separadamente; o resto entra como "other"
+const QUERY_OPERATIONS = ['select', 'insert', 'update', 'delete', 'replace', 'with', 'show', 'create', 'alter', 'drop', 'start'];
+
+const metrics = [];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+// Chave estável das séries: os valores dos rótulos na ordem declarada
+function seriesKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map((name) => String(labels[name] ?? '')));
+}
+
+function pickLabels(labelNames, labels) {
+    return Object.fromEntries(labelNames.map((name) => [name, labels[name] ?? '']));
+}
+
+function createCounter(name, help, labelNames = []) {
+    const series = new Map();
+    metrics.push({
+        render: () => [
+            `# HELP ${PREFIX}${name} ${help}`,
+            `# TYPE ${PREFIX}${name} counter`,
+            ...[...series.values()].map(({ labels, value }) => `${PREFIX}${name}${formatLabels(labels)} ${value}`)
+        ]
+    });
+
+    return {
+        inc(labels = {}, amount = 1) {
+            const key = seriesKey(labelNames, labels);
+            if (!series.has(key)) {
+                series.set(key, { labels: pickLabels(labelNames, labels), value: 0 });
+            }
+            series.get(key).value += amount;
+        }
+    };
+}
+
+function createHistogram(name, help, labelNames = [], buckets = DURATION_BUCKETS) {
+    const series = new Map();
+    metrics.push({
+        render: () => [
+            `# HELP ${PREFIX}${name} ${help}`,
+            `# TYPE ${PREFIX}${name} histogram`,
+            ...[...series.values()].flatMap(({ labels, counts, sum, count }) => [
+                ...buckets.map((bucket, index) => `${PREFIX}${name}_bucket${formatLabels({ ...labels, le: bucket })} ${counts[index]}`),
+                `${PREFIX}${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+                `${PREFIX}${name}_sum${formatLabels(labels)} ${sum}`,
+                `${PREFIX}${name}_count${formatLabels(labels)} ${count}`
+            ])
+        ]
+    });
+
+    return {
+        observe(labels, value) {
+            const key = seriesKey(labelNames, labels);
+            if (!series.has(key)) {
+                series.set(key, { labels: pickLabels(labelNames, labels), counts: buckets.map(() => 0), sum: 0, count: 0 });
+            }
+            const entry = series.get(key);
+            buckets.forEach((bucket, index) => {
+                if (value <= bucket) entry.counts[index] += 1;
+            });
+            entry.sum += value;
+            entry.count += 1;
+        }
+    };
+}
+
+// Gauge lido no momento da coleta: collect() devolve [{ labels, value }]
+function createGauge(name, help, collect) {
+    metrics.push({
+        render: () => [
+            `# HELP ${PREFIX}${name} ${help}`,
+            `# TYPE ${PREFIX}${name} gauge`,
+            ...collect().map(({ labels = {}, value }) => `${PREFIX}${name}${formatLabels(labels)} ${value}`)
+        ]
+    });
+}
+
+const httpRequests = createCounter('http_requests_total', 'Requisições HTTP atendidas', ['method', 'route', 'collection', 'status']);
+const httpDuration = createHistogram('http_request_duration_seconds', 'Duração das requisições HTTP', ['method', 'route', 'collection']);
+const queryDuration = createHistogram('db_query_duration_seconds', 'Duração das consultas ao MySQL', ['operation']);
+const queryErrors = createCounter('db_query_errors_total', 'Consultas que falharam, por código de erro do MySQL', ['operation', 'code']);
+const errors = createCounter('errors_total', 'Erros devolvidos ao Wix, por código de erro', ['code']);
+
+function queryOperation(sql) {
+    const keyword = (/^\s*(\w+)/.exec(String(sql)) || [])[1];
+    const operation = keyword ? keyword.toLowerCase() : '';
+    return QUERY_OPERATIONS.includes(operation) ? operation : 'other';
+}
+
+// Registra a duração (em segundos) de uma consulta e, se ela falhou, o código do erro
+function observeQuery(sql, seconds, err) {
+    const operation = queryOperation(sql);
+    queryDuration.observe({ operation }, seconds);
+    if (err) {
+        queryErrors.inc({ operation, code: err.code || 'UNKNOWN' });
+    }
+}
+
+function countError(code) {
+    errors.inc({ code });
+}
+
+// Registra uma coleção resolvida pela requisição atual (já autenticada e com o acesso conferido)
+function markCollectionResolved(name) {
+    const { resolvedCollections } = getScope();
+    if (resolvedCollections) {
+        resolvedCollections.add(name);
+    }
+}
+
+// Middleware que mede cada requisição pela rota do Express (ex.: /api/items/:table/:id), não pela URL,
+// para que IDs e nomes na URL não criem uma série por valor
+function trackRequests(req, res, next) {
+    const startedAt = process.hrtime.bigint();
+    const resolvedCollections = new Set();
+
+    res.on('finish', () => {
+        const route = req.route ? req.route.path : 'unmatched';
+        // Só a coleção pedida que foi resolvida vira rótulo; nomes recusados pela autenticação, pelas
+        // permissões ou inexistentes (404) ficam sem rótulo para não criar séries arbitrárias
+        const requested = req.body?.collectionName || req.params?.table;
+        const resolved = res.statusCode !== 404 && typeof requested === 'string' && resolvedCollections.has(requested);
+        const labels = { method: req.method, route, collection: resolved ? requested : '' };
+
+        httpRequests.inc({ ...labels, status: res.statusCode });
+        httpDuration.observe(labels, Number(process.hrtime.bigint() - startedAt) / 1e9);
+    });
+
+    runInScope({ resolvedCollections }, next);
+}
+
+// Texto completo da exposição, no formato aceito pelo Prometheus
+function renderMetrics() {
+    return `${metrics.flatMap((metric) => metric.render()).join('\n')}\n`;
+}
+
+module.exports = { createGauge, observeQuery, countError, markCollectionResolved, trackRequests, renderMetrics };
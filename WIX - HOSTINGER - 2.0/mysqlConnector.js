@@ -1,12 +1,136 @@
 const mysql = require('mysql2/promise');
+const { getScope } = require('./requestScope');
+const { isMultiTenant } = require('./tenantRegistry');
+const { PermissionError } = require('./errors');
+const { createGauge } = require('./metrics');
 
+// Lê um inteiro de uma variável de ambiente, usando o padrão quando ausente ou inválido
+function intFromEnv(name, defaultValue) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) ? defaultValue : value;
+}
+
+// Um pool por conjunto de credenciais (host, usuário e senha), compartilhado pelos tenants que as usam,
+// para que o número de conexões não cresça com o número de instalações (max_user_connections)
+const pools = new Map();
+
+// Banco selecionado em cada conexão (pela conexão base do mysql2, reaproveitada pelo pool)
+const selectedDatabases = new WeakMap();
+
+// Opções comuns a todos os pools.
+// DB_POOL_SIZE: conexões simultâneas; DB_POOL_IDLE_TIMEOUT: ms até fechar conexões ociosas;
+// DB_POOL_QUEUE_LIMIT: requisições aguardando conexão (0 = sem limite);
+// DB_POOL_KEEP_ALIVE: ms entre pacotes de keep-alive (0 desativa).
+function poolOptions() {
+    const connectionLimit = intFromEnv('DB_POOL_SIZE', 10);
+    const keepAlive = intFromEnv('DB_POOL_KEEP_ALIVE', 10000);
+
+    return {
+        waitForConnections: true,
+        connectionLimit,
+        maxIdle: intFromEnv('DB_POOL_MAX_IDLE', connectionLimit),
+        idleTimeout: intFromEnv('DB_POOL_IDLE_TIMEOUT', 60000),
+        queueLimit: intFromEnv('DB_POOL_QUEUE_LIMIT', 0),
+        enableKeepAlive: keepAlive > 0,
+        keepAliveInitialDelay: keepAlive
+    };
+}
+
+// Credenciais do tenant, herdando do ambiente o que ele não define
+function connectionConfig(tenant) {
+    return {
+        host: (tenant && tenant.host) || process.env.DB_HOST,
+        user: (tenant && tenant.user) || process.env.DB_USER,
+        password: (tenant && tenant.password) || process.env.DB_PASSWORD,
+        database: tenant ? tenant.database : process.env.DB_NAME
+    };
+}
+
+// Tenant da requisição atual; no modo multi-tenant nenhuma consulta roda sem ele, exceto as verificações
+// de prontidão marcadas com defaultCredentials, que usam as credenciais do ambiente
+function currentTenant() {
+    const { tenant, defaultCredentials } = getScope();
+    if (isMultiTenant() && !tenant && !defaultCredentials) {
+        throw new PermissionError('Instalação não identificada: provisione o adaptador antes de acessar os dados');
+    }
+    return tenant || null;
+}
+
+// Pool das credenciais do tenant atual, criado na primeira utilização. O banco não faz parte do pool:
+// getConnection() o seleciona em cada conexão.
+function getPool() {
+    const { database, ...credentials } = connectionConfig(currentTenant());
+    const key = JSON.stringify([credentials.host, credentials.user, credentials.password]);
+
+    if (!pools.has(key)) {
+        pools.set(key, mysql.createPool({ ...credentials, ...poolOptions() }));
+    }
+    return pools.get(key);
+}
+
+// Nome do banco usado pela requisição atual
+function getDatabaseName() {
+    return connectionConfig(currentTenant()).database;
+}
+
+// Obtém uma conexão do pool já no banco da requisição atual (USE só quando a conexão estava em outro banco);
+// quem chama deve devolvê-la com connection.release()
 async function getConnection() {
-    return await mysql.createConnection({
-        host: process.env.DB_HOST,
-        user: process.env.DB_USER,
-        password: process.env.DB_PASSWORD,
-        database: process.env.DB_NAME
-    });
+    const database = getDatabaseName();
+    const connection = await getPool().getConnection();
+
+    try {
+        if (database && selectedDatabases.get(connection.connection) !== database) {
+            await connection.query(`USE ${mysql.escapeId(database)}`);
+            selectedDatabases.set(connection.connection, database);
+        }
+    } catch (err) {
+        connection.release();
+        throw err;
+    }
+    return connection;
+}
+
+// Cria o banco de um tenant recém-provisionado (TENANT_CREATE_DATABASE=true)
+async function createTenantDatabase(tenant) {
+    const { database, ...credentials } = connectionConfig(tenant);
+    const connection = await mysql.createConnection(credentials);
+    try {
+        await connection.query(`CREATE DATABASE IF NOT EXISTS ${mysql.escapeId(database)}`);
+    } finally {
+        await connection.end();
+    }
+}
+
+// Uso somado de todos os pools: conexões abertas, livres, requisições aguardando e o limite configurado
+function getPoolStats() {
+    const stats = { pools: pools.size, total: 0, free: 0, queued: 0, limit: 0 };
+    for (const { pool } of pools.values()) {
+        stats.total += pool._allConnections.length;
+        stats.free += pool._freeConnections.length;
+        stats.queued += pool._connectionQueue.length;
+        stats.limit += pool.config.connectionLimit;
+    }
+    return stats;
+}
+
+createGauge('db_pool_connections', 'Conexões dos pools do MySQL por estado', () => {
+    const { total, free, queued, limit } = getPoolStats();
+    return [
+        { labels: { state: 'open' }, value: total },
+        { labels: { state: 'in_use' }, value: total - free },
+        { labels: { state: 'free' }, value: free },
+        { labels: { state: 'queued' }, value: queued },
+        { labels: { state: 'limit' }, value: limit }
+    ];
+});
+createGauge('db_pools', 'Pools de conexão abertos (um por conjunto de credenciais)', () => [{ value: pools.size }]);
+
+// Encerra todos os pools, aguardando as conexões em uso terminarem
+async function closePool() {
+    const closing = [...pools.values()];
+    pools.clear();
+    await Promise.all(closing.map((pool) => pool.end()));
 }
 
-module.exports = { getConnection };
\ No newline at end of file
+module.exports = { getPool, getConnection, getDatabaseName, getPoolStats, createTenantDatabase, closePool };
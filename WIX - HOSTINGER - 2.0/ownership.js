@@ -0,0 +1,92 @@
+const mysql = require('mysql2');
+const { PermissionError } = require('./errors');
+const { resolveRole } = require('./permissions');
+
+// "all": qualquer chamador acessa as linhas; "own": só o membro gravado na coluna de dono
+const ACCESS_LEVELS = ['all', 'own'];
+
+// Política padrão: a coluna _owner é preenchida no insert, mas não restringe o acesso.
+// Formato na configuração: { column: '_owner', read: 'all' | 'own', write: 'all' | 'own' }
+function normalizeOwnership(ownership) {
+    const policy = { column: '_owner', read: 'all', write: 'all', ...(ownership || {}) };
+
+    for (const access of ['read', 'write']) {
+        if (!ACCESS_LEVELS.includes(policy[access])) {
+            throw new Error(`Política de dono inválida para ${access}: ${policy[access]}`);
+        }
+    }
+
+    return policy;
+}
+
+// Administradores (dono do site e código de backend) não ficam sujeitos às políticas de dono
+function isPrivileged(requestContext) {
+    return resolveRole(requestContext) === 'admin';
+}
+
+function getMemberId(requestContext) {
+    const memberId = requestContext && requestContext.memberId;
+    return memberId ? String(memberId) : null;
+}
+
+function hasColumn(columns, name) {
+    return columns.some((column) => column.name === name);
+}
+
+// Condição SQL que restringe as linhas ao membro da requisição.
+// Devolve null quando a política não restringe o acesso ou o chamador é privilegiado.
+function buildOwnerCondition(policy, columns, requestContext, access) {
+    if (policy[access] !== 'own' || isPrivileged(requestContext)) {
+        return null;
+    }
+    if (!hasColumn(columns, policy.column)) {
+        throw new Error(`A coluna de dono ${policy.column} não existe na tabela`);
+    }
+
+    const memberId = getMemberId(requestContext);
+    if (!memberId) {
+        throw new PermissionError('Apenas membros logados podem acessar esta coleção');
+    }
+
+    return { sql: `${mysql.escapeId(policy.column)} = ?`, params: [memberId] };
+}
+
+// Grava o membro da requisição como dono do registro inserido.
+// Só chamadores privilegiados podem informar outro dono.
+function stampOwner(policy, columns, requestContext, row) {
+    const memberId = getMemberId(requestContext);
+    const privileged = isPrivileged(requestContext);
+
+    if (policy.write === 'own' && !privileged && !memberId) {
+        throw new PermissionError('Apenas membros logados podem inserir nesta coleção');
+    }
+    if (!hasColumn(columns, policy.column)) {
+        return row;
+    }
+    if (privileged && row[policy.column] !== undefined) {
+        return row;
+    }
+
+    const { [policy.column]: ignored, ...fields } = row;
+    return memberId ? { ...fields, [policy.column]: memberId } : fields;
+}
+
+// Remove a coluna de dono das alterações: só chamadores privilegiados transferem registros
+function protectOwner(policy, requestContext, row) {
+    if (isPrivileged(requestContext) || !(policy.column in row)) {
+        return row;
+    }
+    const { [policy.column]: ignored, ...fields } = row;
+    return fields;
+}
+
+// Junta condições SQL parametrizadas com AND, ignorando as ausentes
+function andConditions(...conditions) {
+    const present = conditions.filter(Boolean);
+    return {
+        sql: present.map((condition) => condition.sql).join(' AND '),
+        params: present.flatMap((condition) => condition.params)
+    };
+}
+
+module.exports = { normalizeOwnership, isPrivileged, buildOwnerCondition, stampOwner, protectOwner, andConditions };
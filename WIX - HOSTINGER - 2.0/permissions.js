@@ -0,0 +1,38 @@
+// Papéis usados nas permissões das coleções
+const ROLES = ['admin', 'member', 'visitor'];
+
+// Papéis enviados pelo Wix no requestContext. Dono do site e código de backend contam como admin.
+const WIX_ROLES = {
+    OWNER: 'admin',
+    BACKEND_CODE: 'admin',
+    ADMIN: 'admin',
+    MEMBER: 'member',
+    VISITOR: 'visitor'
+};
+
+// Papel do chamador; sem papel reconhecido ele é tratado como visitante
+function resolveRole(requestContext) {
+    const role = String((requestContext && requestContext.role) || '').toUpperCase();
+    return WIX_ROLES[role] || 'visitor';
+}
+
+// Combina as permissões da configuração ({ operação: [papéis] }) com o padrão de liberar todos os papéis
+function normalizePermissions(permissions, operations) {
+    const normalized = {};
+
+    for (const operation of operations) {
+        const roles = permissions && permissions[operation] !== undefined ? permissions[operation] : ROLES;
+        if (!Array.isArray(roles) || roles.some((role) => !ROLES.includes(role))) {
+            throw new Error(`Permissões inválidas para ${operation}: use uma lista com ${ROLES.join(', ')}`);
+        }
+        normalized[operation] = roles;
+    }
+
+    return normalized;
+}
+
+function isOperationAllowed(permissions, role, operation) {
+    return Boolean(permissions[operation] && permissions[operation].includes(role));
+}
+
+module.exports = { ROLES, resolveRole, normalizePermissions, isOperationAllowed };
@@ -0,0 +1,137 @@
+const mysql = require('mysql2');
+const { ValidationError } = require('./errors');
+
+// Determina as colunas da chave primária: a configuração da coleção tem prioridade,
+// depois as colunas PRI da tabela e, por fim, uma coluna chamada "_id".
+function resolvePrimaryKey(configured, columns) {
+    if (configured) {
+        const keys = Array.isArray(configured) ? configured : [configured];
+        const known = new Set(columns.map((column) => column.name));
+        const unknown = keys.filter((key) => !known.has(key));
+        if (unknown.length > 0) {
+            throw new Error(`Chave primária configurada não existe na tabela: ${unknown.join(', ')}`);
+        }
+        return keys;
+    }
+
+    // Na chave composta vale a ordem da chave (primaryKeyPosition), quando conhecida, e não a das colunas
+    const primary = columns
+        .filter((column) => column.key === 'PRI')
+        .sort((a, b) => (a.primaryKeyPosition || 0) - (b.primaryKeyPosition || 0))
+        .map((column) => column.name);
+    if (primary.length > 0) {
+        return primary;
+    }
+
+    return columns.some((column) => column.name === '_id') ? ['_id'] : [];
+}
+
+// Codifica os valores da chave primária no _id exposto ao Wix.
+// Chaves simples usam o próprio valor; chaves compostas usam um JSON em base64url.
+function encodeId(row, primaryKey) {
+    if (primaryKey.length === 0) {
+        return undefined;
+    }
+    if (primaryKey.length === 1) {
+        const value = row[primaryKey[0]];
+        return value === null || value === undefined ? value : String(value);
+    }
+
+    const values = primaryKey.map((column) => row[column]);
+    if (values.some((value) => value === undefined)) {
+        return undefined;
+    }
+    return Buffer.from(JSON.stringify(values)).toString('base64url');
+}
+
+// Converte o _id recebido do Wix nos valores das colunas da chave primária
+function decodeId(id, primaryKey) {
+    if (primaryKey.length === 0) {
+        throw new ValidationError('A coleção não possui chave primária');
+    }
+    if (id === undefined || id === null || id === '') {
+        throw new ValidationError('ID do item é obrigatório');
+    }
+    if (primaryKey.length === 1) {
+        return [id];
+    }
+
+    let values;
+    try {
+        values = JSON.parse(Buffer.from(String(id), 'base64url').toString('utf8'));
+    } catch (err) {
+        values = null;
+    }
+    if (!Array.isArray(values) || values.length !== primaryKey.length) {
+        throw new ValidationError(`ID inválido para a chave composta (${primaryKey.join(', ')})`);
+    }
+    return values;
+}
+
+// Condição SQL que localiza um registro pelo _id
+function buildIdCondition(id, primaryKey) {
+    const values = decodeId(id, primaryKey);
+    return {
+        sql: primaryKey.map((column) => `${mysql.escapeId(column)} = ?`).join(' AND '),
+        params: values
+    };
+}
+
+// Condição SQL que localiza vários registros pelo _id (IN com tupla para chaves compostas)
+function buildIdsCondition(ids, primaryKey) {
+    const values = ids.map((id) => decodeId(id, primaryKey));
+
+    if (primaryKey.length === 1) {
+        return {
+            sql: `${mysql.escapeId(primaryKey[0])} IN (${values.map(() => '?').join(', ')})`,
+            params: values.flat()
+        };
+    }
+
+    const tuple = `(${primaryKey.map(() => '?').join(', ')})`;
+    return {
+        sql: `(${primaryKey.map((column) => mysql.escapeId(column)).join(', ')}) IN (${values.map(() => tuple).join(', ')})`,
+        params: values.flat()
+    };
+}
+
+// Reescreve condições sobre _id em chaves compostas para condições sobre cada coluna.
+// Só $eq, $ne e $hasSome fazem sentido para um ID codificado.
+function rewriteIdFilter(filter, primaryKey) {
+    if (!filter || typeof filter !== 'object' || primaryKey.length < 2) {
+        return filter;
+    }
+
+    const { operator, fieldName, value } = filter;
+
+    if (['$and', '$or'].includes(operator) && Array.isArray(value)) {
+        return { ...filter, value: value.map((child) => rewriteIdFilter(child, primaryKey)) };
+    }
+    if (operator === '$not') {
+        return { ...filter, value: rewriteIdFilter(Array.isArray(value) ? value[0] : value, primaryKey) };
+    }
+    if (fieldName !== '_id') {
+        return filter;
+    }
+
+    const equals = (id) => ({
+        operator: '$and',
+        value: decodeId(id, primaryKey).map((part, index) => ({ operator: '$eq', fieldName: primaryKey[index], value: part }))
+    });
+
+    switch (operator) {
+        case '$eq':
+            return equals(value);
+        case '$ne':
+            return { operator: '$not', value: equals(value) };
+        case '$hasSome':
+            if (!Array.isArray(value)) {
+                throw new ValidationError('O valor do filtro deve ser um array para o operador $hasSome');
+            }
+            return { operator: '$or', value: value.map(equals) };
+        default:
+            throw new ValidationError(`Operador ${operator} não suportado para _id de chave composta`);
+    }
+}
+
+module.exports = { resolvePrimaryKey, encodeId, decodeId, buildIdCondition, buildIdsCondition, rewriteIdFilter };
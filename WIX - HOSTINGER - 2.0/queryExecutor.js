@@ -1,32 +1,86 @@
 const { getConnection } = require('./mysqlConnector'); // Importe o novo conector MySQL
+const { logger } = require('./logger');
+const { observeQuery } = require('./metrics');
 
-async function executeQuery(query, binds = []) {
-    let connection;
-    try {
-        connection = await getConnection();
-        console.log('Conexão estabelecida com o banco de dados.');
-
-        // Logue a consulta SQL e os parâmetros
-        console.log('Executando consulta:', query);
-        console.log('Parâmetros:', binds);
+// Tamanho máximo do SQL registrado no log
+const MAX_LOGGED_SQL = 500;
 
-        const [rows] = await connection.execute(query, binds);
-        console.log('Resultados brutos:', rows);
+// O SQL só entra no log com LOG_LEVEL=debug; os valores dos parâmetros e as linhas nunca são registrados
+function describeQuery(query, binds) {
+    return { sql: String(query).slice(0, MAX_LOGGED_SQL), paramCount: binds.length };
+}
 
+// Executa a consulta no pool ou em uma conexão específica
+async function run(executor, query, binds) {
+    const startedAt = process.hrtime.bigint();
+    try {
+        const [rows] = await executor.execute(query, binds);
+        const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+        observeQuery(query, durationMs / 1000);
+        if (logger.isLevelEnabled('debug')) {
+            const size = Array.isArray(rows) ? { rowCount: rows.length } : { affectedRows: rows && rows.affectedRows };
+            logger.debug('Consulta executada', { ...describeQuery(query, binds), ...size, durationMs });
+        }
         return rows || [];
     } catch (err) {
-        console.error('Erro ao executar consulta:', err);
+        observeQuery(query, Number(process.hrtime.bigint() - startedAt) / 1e9, err);
+        logger.warn('Erro ao executar consulta', {
+            ...(logger.isLevelEnabled('debug') ? describeQuery(query, binds) : {}),
+            error: err
+        });
         throw err;
+    }
+}
+
+// Executa uma consulta avulsa numa conexão do pool, já no banco da requisição atual
+async function executeQuery(query, binds = []) {
+    const connection = await getConnection();
+    try {
+        return await run(connection, query, binds);
     } finally {
-        if (connection) {
+        connection.release();
+    }
+}
+
+// Executa várias consultas na mesma conexão do pool, devolvendo-a ao final.
+// O callback recebe runQuery(query, binds) e a própria conexão.
+async function withConnection(callback) {
+    const connection = await getConnection();
+    try {
+        const runQuery = async (query, binds = []) => run(connection, query, binds);
+        return await callback(runQuery, connection);
+    } finally {
+        connection.release();
+    }
+}
+
+// Executa várias consultas na mesma conexão dentro de uma transação.
+// O callback recebe run(query, binds) e markRollback(); qualquer erro não tratado também desfaz a transação.
+async function executeTransaction(callback) {
+    return withConnection(async (runQuery, connection) => {
+        await connection.beginTransaction();
+        try {
+            // Permite desfazer a transação sem lançar erro, devolvendo o resultado normalmente
+            let shouldRollback = false;
+            const result = await callback(runQuery, () => { shouldRollback = true; });
+
+            if (shouldRollback) {
+                await connection.rollback();
+            } else {
+                await connection.commit();
+            }
+
+            return result;
+        } catch (err) {
             try {
-                await connection.end();
-                console.log('Conexão fechada.');
-            } catch (err) {
-                console.error('Erro ao fechar conexão:', err);
+                await connection.rollback();
+            } catch (rollbackErr) {
+                logger.error('Erro ao desfazer transação', { error: rollbackErr });
             }
+            logger.warn('Transação desfeita por erro', { error: err });
+            throw err;
         }
-    }
+    });
 }
 
-module.exports = { executeQuery };
\ No newline at end of file
+module.exports = { executeQuery, withConnection, executeTransaction };
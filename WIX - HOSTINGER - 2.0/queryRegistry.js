@@ -0,0 +1,198 @@
+const fs = require('fs');
+const path = require('path');
+const { executeQuery, withConnection } = require('./queryExecutor');
+const { serializeItem, toDate } = require('./serializer');
+const { resolveRole, ROLES } = require('./permissions');
+const { ValidationError, NotFoundError, PermissionError } = require('./errors');
+const { logger } = require('./logger');
+
+// Arquivos procurados quando QUERIES_CONFIG não é informado
+const DEFAULT_QUERY_FILES = ['queries.config.js', 'queries.config.json'];
+
+const QUERY_MODES = ['read', 'write'];
+const PARAM_TYPES = ['text', 'number', 'integer', 'boolean', 'datetime'];
+
+// Parâmetros nomeados (:nome) fora de literais e identificadores entre crases
+const PLACEHOLDER_PATTERN = /'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*"|`[^`]*`|:([A-Za-z_][A-Za-z0-9_]*)/g;
+
+let loadedQueries = null;
+
+// Troca os parâmetros :nome por ? e devolve a ordem em que devem ser passados ao MySQL
+function compileSql(sql) {
+    const order = [];
+    const compiled = sql.replace(PLACEHOLDER_PATTERN, (match, param) => {
+        if (!param) return match;
+        order.push(param);
+        return '?';
+    });
+    return { sql: compiled, order };
+}
+
+// Valida e compila uma definição do arquivo de consultas
+function compileDefinition(name, definition) {
+    if (!definition || typeof definition.sql !== 'string' || definition.sql.trim() === '') {
+        throw new Error(`A consulta ${name} precisa do campo sql`);
+    }
+
+    const mode = definition.mode || 'read';
+    if (!QUERY_MODES.includes(mode)) {
+        throw new Error(`Modo inválido na consulta ${name}: ${mode}`);
+    }
+
+    const params = definition.params || {};
+    for (const [param, spec] of Object.entries(params)) {
+        if (!spec || !PARAM_TYPES.includes(spec.type)) {
+            throw new Error(`Tipo inválido para o parâmetro ${param} da consulta ${name}: use ${PARAM_TYPES.join(', ')}`);
+        }
+    }
+
+    // Só administradores (dono do site e código de backend) executam consultas sem papéis declarados
+    const roles = definition.roles || ['admin'];
+    if (!Array.isArray(roles) || roles.some((role) => !ROLES.includes(role))) {
+        throw new Error(`Papéis inválidos na consulta ${name}: use ${ROLES.join(', ')}`);
+    }
+
+    const { sql, order } = compileSql(definition.sql);
+    const undeclared = order.filter((param) => !(param in params));
+    if (undeclared.length > 0) {
+        throw new Error(`A consulta ${name} usa parâmetros não declarados: ${[...new Set(undeclared)].join(', ')}`);
+    }
+
+    return { name, mode, roles, params, sql, order, description: definition.description || '' };
+}
+
+// Carrega as consultas nomeadas (JSON ou JS) uma única vez.
+// Formato: { queries: { nome: { sql, mode: 'read' | 'write', roles: [...], params: { nome: { type, required, default } } } } }
+function loadQueries() {
+    if (loadedQueries) {
+        return loadedQueries;
+    }
+
+    const candidates = process.env.QUERIES_CONFIG
+        ? [path.resolve(process.env.QUERIES_CONFIG)]
+        : DEFAULT_QUERY_FILES.map((file) => path.join(__dirname, file));
+    const configFile = candidates.find((file) => fs.existsSync(file));
+
+    if (process.env.QUERIES_CONFIG && !configFile) {
+        throw new Error(`Arquivo de consultas nomeadas não encontrado: ${process.env.QUERIES_CONFIG}`);
+    }
+
+    const raw = configFile ? require(configFile) : {};
+    loadedQueries = new Map(
+        Object.entries(raw.queries || {}).map(([name, definition]) => [name, compileDefinition(name, definition)])
+    );
+
+    if (configFile) {
+        logger.info('Consultas nomeadas carregadas', { count: loadedQueries.size, file: configFile });
+    }
+
+    return loadedQueries;
+}
+
+// Converte o argumento recebido para o tipo declarado do parâmetro
+function coerceParam(queryName, param, spec, value) {
+    if (value === undefined || value === null) {
+        if (spec.default !== undefined) {
+            return coerceParam(queryName, param, { ...spec, default: undefined }, spec.default);
+        }
+        if (spec.required) {
+            throw new ValidationError(`O parâmetro ${param} é obrigatório na consulta ${queryName}`);
+        }
+        return null;
+    }
+
+    switch (spec.type) {
+        case 'text':
+            if (typeof value !== 'string' && typeof value !== 'number') {
+                throw new ValidationError(`O parâmetro ${param} deve ser um texto`);
+            }
+            return String(value);
+        case 'number':
+        case 'integer': {
+            const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+            if (typeof number !== 'number' || !Number.isFinite(number) || (spec.type === 'integer' && !Number.isInteger(number))) {
+                throw new ValidationError(`O parâmetro ${param} deve ser um ${spec.type === 'integer' ? 'inteiro' : 'número'}`);
+            }
+            return number;
+        }
+        case 'boolean':
+            if (typeof value !== 'boolean') {
+                throw new ValidationError(`O parâmetro ${param} deve ser booleano`);
+            }
+            return value ? 1 : 0;
+        case 'datetime':
+            return toDate(value, param);
+        default:
+            throw new ValidationError(`Tipo de parâmetro não suportado: ${spec.type}`);
+    }
+}
+
+// Monta a lista de valores na ordem dos ? da consulta compilada
+function bindParams(query, args) {
+    if (args !== undefined && (args === null || typeof args !== 'object' || Array.isArray(args))) {
+        throw new ValidationError('Os parâmetros devem ser um objeto { nome: valor }');
+    }
+
+    const provided = args || {};
+    const unknown = Object.keys(provided).filter((param) => !(param in query.params));
+    if (unknown.length > 0) {
+        throw new ValidationError(`Parâmetros desconhecidos para a consulta ${query.name}: ${unknown.join(', ')}`);
+    }
+
+    const values = {};
+    for (const [param, spec] of Object.entries(query.params)) {
+        values[param] = coerceParam(query.name, param, spec, provided[param]);
+    }
+    return query.order.map((param) => values[param]);
+}
+
+// Consulta registrada liberada para o papel do chamador
+function getNamedQuery(name, requestContext) {
+    const query = loadQueries().get(name);
+    if (!query) {
+        throw new NotFoundError(`Consulta não encontrada: ${name}`);
+    }
+
+    const role = resolveRole(requestContext);
+    if (!query.roles.includes(role)) {
+        throw new PermissionError(`O papel '${role}' não tem permissão para executar a consulta ${name}`);
+    }
+
+    return query;
+}
+
+// Executa uma consulta nomeada com os argumentos recebidos.
+// Consultas de leitura rodam numa transação READ ONLY para que o MySQL recuse qualquer escrita.
+async function runNamedQuery(name, args, requestContext) {
+    const query = getNamedQuery(name, requestContext);
+    const binds = bindParams(query, args);
+
+    if (query.mode === 'write') {
+        const result = await executeQuery(query.sql, binds);
+        return { mode: 'write', affectedRows: result.affectedRows, insertId: result.insertId || null };
+    }
+
+    const rows = await withConnection(async (runQuery, connection) => {
+        await connection.query('START TRANSACTION READ ONLY');
+        try {
+            const result = await runQuery(query.sql, binds);
+            await connection.commit();
+            return result;
+        } catch (err) {
+            await connection.rollback();
+            throw err;
+        }
+    });
+
+    return { mode: 'read', rows: rows.map((row) => serializeItem(row)) };
+}
+
+// Lista as consultas que o papel do chamador pode executar, sem expor o SQL
+function listNamedQueries(requestContext) {
+    const role = resolveRole(requestContext);
+    return [...loadQueries().values()]
+        .filter((query) => query.roles.includes(role))
+        .map(({ name, mode, description, params }) => ({ name, mode, description, params }));
+}
+
+module.exports = { runNamedQuery, listNamedQueries };
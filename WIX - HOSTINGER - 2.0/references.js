@@ -0,0 +1,69 @@
+const mysql = require('mysql2');
+const { resolveCollection } = require('./collectionConfig');
+const { serializeItem } = require('./serializer');
+const { ValidationError } = require('./errors');
+
+// Operadores aceitos nos campos de referência
+const REFERENCE_QUERY_OPERATORS = ['eq', 'ne', 'hasSome'];
+
+// Definição de campo de referência no schema do Wix, apontando para a coleção alvo
+function referenceField(fieldName, referencedCollection, required) {
+    return {
+        displayName: fieldName,
+        type: 'reference',
+        typeMetadata: { reference: { referencedCollectionId: referencedCollection } },
+        required,
+        queryOperators: REFERENCE_QUERY_OPERATORS
+    };
+}
+
+function validateIncludeList(fieldNames) {
+    if (!Array.isArray(fieldNames) || fieldNames.some((fieldName) => typeof fieldName !== 'string' || fieldName === '')) {
+        throw new ValidationError('includeReferences deve ser uma lista com os nomes dos campos de referência');
+    }
+}
+
+// Substitui, nos itens já serializados, o valor de cada campo de referência pedido pelo item referenciado.
+// Cada campo gera uma única consulta IN com os IDs distintos da página, lida com as regras de acesso
+// (operação, papel e dono) da coleção alvo; referências não encontradas mantêm o ID original.
+async function includeReferences(runQuery, collection, items, fieldNames, requestContext) {
+    if (fieldNames === undefined || fieldNames === null) {
+        return items;
+    }
+    validateIncludeList(fieldNames);
+
+    for (const fieldName of new Set(fieldNames)) {
+        const target = collection.referenceOf(collection.toColumn(fieldName));
+        if (!target) {
+            throw new ValidationError(`O campo ${fieldName} não é uma referência`);
+        }
+
+        const ids = [...new Set(items
+            .map((item) => item[fieldName])
+            .filter((value) => value !== null && value !== undefined)
+            .map(String))];
+        if (ids.length === 0) {
+            continue;
+        }
+
+        const referenced = resolveCollection(target, 'find', requestContext);
+        await referenced.describe();
+        const condition = referenced.idsCondition(ids, 'read');
+        const rows = await runQuery(`SELECT * FROM ${mysql.escapeId(referenced.table)} WHERE ${condition.sql}`, condition.params);
+
+        const byId = new Map(rows.map((row) => [
+            String(referenced.toId(row)),
+            referenced.toItem(serializeItem(row, referenced.getColumns()))
+        ]));
+        for (const item of items) {
+            const value = item[fieldName];
+            if (value !== null && value !== undefined && byId.has(String(value))) {
+                item[fieldName] = byId.get(String(value));
+            }
+        }
+    }
+
+    return items;
+}
+
+module.exports = { referenceField, includeReferences };
@@ -0,0 +1,16 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Dados da requisição em andamento (ex.: o tenant), disponíveis em qualquer ponto da cadeia assíncrona
+const storage = new AsyncLocalStorage();
+
+// Executa fn dentro de um escopo com os valores informados, herdando os do escopo atual
+function runInScope(values, fn) {
+    return storage.run({ ...(storage.getStore() || {}), ...values }, fn);
+}
+
+// Devolve o escopo da requisição atual ({} fora de uma requisição)
+function getScope() {
+    return storage.getStore() || {};
+}
+
+module.exports = { runInScope, getScope };
@@ -0,0 +1,203 @@
+const mysql = require('mysql2');
+const { executeQuery, withConnection } = require('./queryExecutor');
+const { describeTable, invalidateSchemaCache } = require('./tableSchema');
+const { mapMySQLTypeToWixType, mapWixTypeToMySQLType } = require('./typeMapping');
+const { ValidationError } = require('./errors');
+
+// Colunas de sistema criadas em toda coleção e que não podem ser alteradas pelo Wix
+const SYSTEM_COLUMNS = {
+    _id: 'VARCHAR(50) NOT NULL',
+    _owner: 'VARCHAR(50) NULL'
+};
+
+// Nomes aceitos para tabelas e colunas
+const IDENTIFIER_PATTERN = /^[A-Za-z_][A-Za-z0-9_]{0,63}$/;
+
+// CURRENT_TIMESTAMP (com precisão opcional), aceito sem parênteses em DEFAULT e ON UPDATE
+const CURRENT_TIMESTAMP_PATTERN = /^current_timestamp(\(\d*\))?$/i;
+
+// Alterações de schema só são permitidas com ALLOW_SCHEMA_CHANGES=true
+function isSchemaChangeAllowed() {
+    return process.env.ALLOW_SCHEMA_CHANGES === 'true';
+}
+
+function validateIdentifier(name, kind) {
+    if (typeof name !== 'string' || !IDENTIFIER_PATTERN.test(name)) {
+        throw new ValidationError(`Nome de ${kind} inválido: ${name}`);
+    }
+}
+
+// Valida a definição de coleção enviada pelo Wix: { id, fields: { nome: { type, required } } }.
+// toColumn converte o nome do campo na coluna (apelidos da configuração) e recusa colunas ocultas.
+function validateSchemaDefinition(schema, toColumn = (name) => name) {
+    if (!schema || typeof schema !== 'object') {
+        throw new ValidationError('A definição do schema é obrigatória');
+    }
+    validateIdentifier(schema.id, 'coleção');
+
+    const fields = schema.fields || {};
+    if (typeof fields !== 'object' || Array.isArray(fields)) {
+        throw new ValidationError('Os campos do schema devem ser um objeto');
+    }
+
+    // Campos de sistema são gerenciados pelo adaptador
+    return Object.entries(fields)
+        .filter(([name]) => !(name in SYSTEM_COLUMNS))
+        .map(([name, field]) => {
+            validateIdentifier(name, 'campo');
+            const column = toColumn(name);
+            validateIdentifier(column, 'coluna');
+            return { name, column, type: (field && field.type) || 'text', required: Boolean(field && field.required) };
+        });
+}
+
+// Monta a definição SQL de uma coluna a partir do campo do Wix
+function columnDefinition({ column, type, required }) {
+    return `${mysql.escapeId(column)} ${mapWixTypeToMySQLType(type)} ${required ? 'NOT NULL' : 'NULL'}`;
+}
+
+// Cláusula DEFAULT da coluna existente: literal, CURRENT_TIMESTAMP ou expressão (DEFAULT_GENERATED no MySQL 8)
+function defaultClause(column) {
+    if (column.defaultValue === null || column.defaultValue === undefined) {
+        return null;
+    }
+    if (CURRENT_TIMESTAMP_PATTERN.test(column.defaultValue)) {
+        return `DEFAULT ${column.defaultValue}`;
+    }
+    if (/DEFAULT_GENERATED/i.test(column.extra)) {
+        return `DEFAULT (${column.defaultValue})`;
+    }
+    return `DEFAULT ${mysql.escape(column.defaultValue)}`;
+}
+
+// Definição para MODIFY COLUMN a partir da coluna existente, trocando apenas o tipo e o NULL/NOT NULL.
+// DEFAULT, AUTO_INCREMENT e o comentário são mantidos; a collation e o ON UPDATE só quando o novo tipo os aceita.
+function modifiedColumnDefinition(column, sqlType, required) {
+    const onUpdate = /on update (current_timestamp(\(\d*\))?)/i.exec(column.extra);
+
+    return [
+        mysql.escapeId(column.name),
+        sqlType,
+        column.collation && /char|text/i.test(sqlType) ? `COLLATE ${column.collation}` : null,
+        required ? 'NOT NULL' : 'NULL',
+        defaultClause(column),
+        /auto_increment/i.test(column.extra) ? 'AUTO_INCREMENT' : null,
+        onUpdate && /date|time/i.test(sqlType) ? `ON UPDATE ${onUpdate[1]}` : null,
+        column.comment ? `COMMENT ${mysql.escape(column.comment)}` : null
+    ].filter(Boolean).join(' ');
+}
+
+// Colunas que o Wix não altera: as de tipo "any" (ex.: BLOB, ENUM, SET, YEAR), que virariam TEXT,
+// e as colunas geradas, cuja expressão não é lida
+function isModifiable(column) {
+    const generated = /(VIRTUAL|STORED) GENERATED/i.test(column.extra);
+    return !generated && mapMySQLTypeToWixType(column.type) !== 'any';
+}
+
+// Campos a remover, listados explicitamente em removedFields; sem a lista nenhuma coluna é removida.
+// Devolve os campos com as respectivas colunas.
+function validateRemovedFields(schema, fields, toColumn = (name) => name) {
+    const removedFields = schema.removedFields === undefined ? [] : schema.removedFields;
+    if (!Array.isArray(removedFields)) {
+        throw new ValidationError('removedFields deve ser uma lista com os nomes dos campos');
+    }
+
+    const requested = new Set(fields.map(({ column }) => column));
+    return [...new Set(removedFields)].map((name) => {
+        validateIdentifier(name, 'campo');
+        const column = name in SYSTEM_COLUMNS ? name : toColumn(name);
+        if (column in SYSTEM_COLUMNS) {
+            throw new ValidationError(`O campo de sistema ${name} não pode ser removido`);
+        }
+        if (requested.has(column)) {
+            throw new ValidationError(`O campo ${name} não pode ser alterado e removido ao mesmo tempo`);
+        }
+        return { name, column };
+    });
+}
+
+// Cria a tabela correspondente à coleção do Wix
+async function createCollection(schema) {
+    const fields = validateSchemaDefinition(schema);
+
+    const definitions = [
+        ...Object.entries(SYSTEM_COLUMNS).map(([name, type]) => `${mysql.escapeId(name)} ${type}`),
+        ...fields.map(columnDefinition),
+        `PRIMARY KEY (${mysql.escapeId('_id')})`
+    ];
+
+    await executeQuery(`CREATE TABLE ${mysql.escapeId(schema.id)} (${definitions.join(', ')})`);
+    invalidateSchemaCache();
+
+    return { id: schema.id, fields: fields.map(({ name, type, required }) => ({ name, type, required })) };
+}
+
+// Compara a definição do Wix com as colunas existentes e aplica ADD/MODIFY COLUMN.
+// Colunas ausentes da definição são mantidas; só as listadas em removedFields são removidas (DROP COLUMN),
+// exceto as de sistema e as da chave primária. Campos do tipo "any" não mudam o tipo da coluna.
+// Os nomes dos campos passam pela configuração da coleção (já descrita): apelidos viram as colunas reais
+// e colunas ocultas são recusadas. Chaves estrangeiras (campos de referência) nunca são alteradas.
+async function updateCollection(schema, collection) {
+    const fields = validateSchemaDefinition(schema, (name) => collection.toColumn(name, { allowNew: true }));
+    const removedFields = validateRemovedFields(schema, fields, collection.toColumn);
+    const foreignKeys = new Set(collection.getColumns().filter((column) => column.reference).map((column) => column.name));
+
+    return withConnection(async (runQuery) => {
+        const existingColumns = await describeTable(schema.id, runQuery);
+        const existing = new Map(existingColumns.map((column) => [column.name, column]));
+        const clauses = [];
+        const changes = { added: [], modified: [], dropped: [] };
+
+        for (const field of fields) {
+            const column = existing.get(field.column);
+            if (!column) {
+                clauses.push(`ADD COLUMN ${columnDefinition(field)}`);
+                changes.added.push(field.name);
+                continue;
+            }
+            if (!isModifiable(column) || foreignKeys.has(column.name)) {
+                continue;
+            }
+
+            // Compara pelo tipo Wix para não recriar colunas equivalentes (ex.: VARCHAR(100) e "text")
+            const typeChanged = String(field.type).toLowerCase() !== 'any'
+                && mapMySQLTypeToWixType(column.type) !== mapMySQLTypeToWixType(mapWixTypeToMySQLType(field.type, column.type));
+            const requiredChanged = column.nullable === field.required;
+
+            if (typeChanged || requiredChanged) {
+                const sqlType = typeChanged ? mapWixTypeToMySQLType(field.type) : column.type;
+                clauses.push(`MODIFY COLUMN ${modifiedColumnDefinition(column, sqlType, field.required)}`);
+                changes.modified.push(field.name);
+            }
+        }
+
+        for (const { name, column: columnName } of removedFields) {
+            const column = existing.get(columnName);
+            if (!column) {
+                throw new ValidationError(`Campo desconhecido: ${name}`);
+            }
+            if (column.key === 'PRI') {
+                throw new ValidationError(`O campo ${name} faz parte da chave primária e não pode ser removido`);
+            }
+            clauses.push(`DROP COLUMN ${mysql.escapeId(columnName)}`);
+            changes.dropped.push(name);
+        }
+
+        if (clauses.length > 0) {
+            await runQuery(`ALTER TABLE ${mysql.escapeId(schema.id)} ${clauses.join(', ')}`);
+            invalidateSchemaCache();
+        }
+
+        return { id: schema.id, ...changes };
+    });
+}
+
+// Remove a tabela correspondente à coleção
+async function deleteCollection(schemaId) {
+    validateIdentifier(schemaId, 'coleção');
+    await executeQuery(`DROP TABLE ${mysql.escapeId(schemaId)}`);
+    invalidateSchemaCache();
+    return { id: schemaId };
+}
+
+module.exports = { isSchemaChangeAllowed, createCollection, updateCollection, deleteCollection };
@@ -0,0 +1,139 @@
+const { ValidationError } = require('./errors');
+
+// Classifica o tipo MySQL da coluna (ex.: "tinyint(1)", "decimal(10,2)") para a serialização
+function columnKind(type = '') {
+    const normalized = type.toLowerCase();
+
+    if (/^(tinyint\(1\)|bool|boolean|bit\(1\))/.test(normalized)) return 'boolean';
+    if (/^(datetime|timestamp|date)\b/.test(normalized)) return 'datetime';
+    if (/^json\b/.test(normalized)) return 'json';
+    if (/^(decimal|numeric)\b/.test(normalized)) return 'decimal';
+    if (/^(tinyint|smallint|mediumint|int|integer|bigint|float|double|real)\b/.test(normalized)) return 'number';
+    if (/^(tinyblob|blob|mediumblob|longblob|binary|varbinary)\b/.test(normalized)) return 'binary';
+    return 'default';
+}
+
+// Converte um valor vindo do MySQL para o formato Wix conforme o tipo da coluna
+function serializeValue(value, kind) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+
+    switch (kind) {
+        case 'boolean':
+            // BIT(1) chega como Buffer, TINYINT(1) como número
+            return Buffer.isBuffer(value) ? value[0] === 1 : Boolean(Number(value));
+        case 'datetime': {
+            const date = value instanceof Date ? value : new Date(value);
+            return isNaN(date.getTime()) ? null : { $date: date.toISOString() };
+        }
+        case 'json':
+            if (typeof value === 'string') {
+                try {
+                    return JSON.parse(value);
+                } catch (err) {
+                    return value;
+                }
+            }
+            return value;
+        case 'decimal':
+            return Number(value);
+        case 'binary':
+            return Buffer.isBuffer(value) ? value.toString('base64') : value;
+        default:
+            // Datas sem metadados (ex.: colunas calculadas) também seguem o formato do Wix
+            if (value instanceof Date) {
+                return isNaN(value.getTime()) ? null : { $date: value.toISOString() };
+            }
+            return Buffer.isBuffer(value) ? value.toString('base64') : value;
+    }
+}
+
+// Serializa um registro do MySQL para o formato de item do Wix usando os metadados das colunas
+function serializeItem(row, columns = []) {
+    const kinds = new Map(columns.map((column) => [column.name, columnKind(column.type)]));
+    const item = {};
+
+    for (const [key, value] of Object.entries(row)) {
+        item[key] = serializeValue(value, kinds.get(key) || 'default');
+    }
+
+    return item;
+}
+
+// Campos de sistema do Wix que podem vir no payload mesmo sem coluna correspondente
+const WIX_SYSTEM_FIELDS = ['_owner', '_createdDate', '_updatedDate'];
+
+// Converte datas no formato Wix ({ $date }), strings ISO, timestamps ou Date para Date
+function toDate(value, fieldName) {
+    const raw = value && typeof value === 'object' && !(value instanceof Date) && '$date' in value ? value.$date : value;
+    const date = raw instanceof Date ? raw : new Date(raw);
+    if ((typeof raw !== 'string' && typeof raw !== 'number' && !(raw instanceof Date)) || isNaN(date.getTime())) {
+        throw new ValidationError(`Data inválida para o campo ${fieldName}`);
+    }
+    return date;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date) && !Buffer.isBuffer(value);
+}
+
+// Converte um valor vindo do Wix para o formato gravado pelo MySQL conforme o tipo da coluna
+function deserializeValue(value, kind, fieldName) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+
+    switch (kind) {
+        case 'datetime':
+            return toDate(value, fieldName);
+        case 'json':
+            return JSON.stringify(value);
+        case 'boolean':
+            if (value === true || value === 1 || value === '1' || value === 'true') return 1;
+            if (value === false || value === 0 || value === '0' || value === 'false') return 0;
+            throw new ValidationError(`Valor booleano inválido para o campo ${fieldName}`);
+        case 'number':
+        case 'decimal': {
+            if (typeof value === 'boolean') return value ? 1 : 0;
+            const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+            if (typeof number !== 'number' || !Number.isFinite(number)) {
+                throw new ValidationError(`Valor numérico inválido para o campo ${fieldName}`);
+            }
+            // DECIMAL é enviado como string para não perder precisão
+            return kind === 'decimal' && typeof value === 'string' ? value.trim() : number;
+        }
+        case 'binary':
+            if (typeof value !== 'string') {
+                throw new ValidationError(`O campo ${fieldName} espera um conteúdo em base64`);
+            }
+            return Buffer.from(value, 'base64');
+        default:
+            if (isPlainObject(value) && '$date' in value) {
+                return toDate(value, fieldName);
+            }
+            if (isPlainObject(value) || Array.isArray(value)) {
+                throw new ValidationError(`O campo ${fieldName} não aceita objetos ou listas`);
+            }
+            return typeof value === 'boolean' ? Number(value) : value;
+    }
+}
+
+// Converte um item do Wix para os valores das colunas, rejeitando campos e valores incompatíveis
+function deserializeItem(payload, columns = []) {
+    const kinds = new Map(columns.map((column) => [column.name, columnKind(column.type)]));
+    const values = {};
+
+    for (const [key, value] of Object.entries(payload)) {
+        if (!kinds.has(key)) {
+            // Campos de sistema do Wix sem coluna na tabela são ignorados
+            if (WIX_SYSTEM_FIELDS.includes(key)) continue;
+            throw new ValidationError(`Campo desconhecido: ${key}`);
+        }
+        values[key] = deserializeValue(value, kinds.get(key), key);
+    }
+
+    return values;
+}
+
+module.exports = { columnKind, serializeItem, deserializeItem, toDate };
@@ -1,49 +1,156 @@
+const crypto = require('crypto');
 const express = require('express');
 require('dotenv').config();
-const { executeQuery } = require('./queryExecutor');
+const { executeQuery, withConnection } = require('./queryExecutor');
+const { closePool, createTenantDatabase } = require('./mysqlConnector');
+const { buildWhereClause, buildOrderByClause, buildLimitClause } = require('./filterTranslator');
+const { buildAggregateQuery, formatAggregateRows } = require('./aggregateBuilder');
+const { bulkInsert, bulkUpdate, bulkRemove } = require('./bulkOperations');
+const { countTotal, resolveTotalCountMode } = require('./totalCount');
+const { serializeItem, deserializeItem } = require('./serializer');
+const { mapMySQLTypeToWixType } = require('./typeMapping');
+const { isSchemaChangeAllowed, createCollection, updateCollection, deleteCollection } = require('./schemaManager');
+const { listTables, invalidateSchemaCache } = require('./tableSchema');
+const { resolveSortKeys, buildKeysetOrderBy, fingerprint, encodeCursor, decodeCursor, buildSeekCondition } = require('./cursorPaging');
+const { andConditions } = require('./ownership');
+const { referenceField, includeReferences } = require('./references');
+const { isCollectionExposed, resolveCollection } = require('./collectionConfig');
+const { resolveRole } = require('./permissions');
+const { runNamedQuery, listNamedQueries } = require('./queryRegistry');
+const { validateQuery } = require('./sqlValidator');
+const { validateSecretKey, captureRawBody, matchesActiveKey, hashSecretKey, safeEqual } = require('./auth');
+const { isMultiTenant, getTenant, registerTenant } = require('./tenantRegistry');
+const { runInScope } = require('./requestScope');
+const { logger } = require('./logger');
+const { trackRequests, countError, renderMetrics } = require('./metrics');
+const { getLiveness, checkReadiness } = require('./health');
+const { ERROR_CODES, ValidationError, PermissionError, toAdapterError } = require('./errors');
 const mysql = require('mysql2');
 
 const app = express();
-app.use(express.json());
 
-// Middleware para validar a chave secreta
-function validateSecretKey(req, res, next) {
-    const providedKey = req.body?.requestContext?.settings?.secretKey;
+// Cada requisição recebe um ID (o X-Request-Id recebido ou um novo), devolvido no cabeçalho
+// e incluído em todos os registros de log feitos durante ela, inclusive os das consultas
+function requestId(req, res, next) {
+    const received = req.get('X-Request-Id');
+    const id = received && /^[\w.:-]{1,128}$/.test(received) ? received : crypto.randomUUID();
+    const startedAt = process.hrtime.bigint();
+
+    res.set('X-Request-Id', id);
+    res.on('finish', () => {
+        logger.info('Requisição concluída', {
+            requestId: id,
+            method: req.method,
+            path: req.path,
+            status: res.statusCode,
+            durationMs: Number(process.hrtime.bigint() - startedAt) / 1e6
+        });
+    });
+
+    runInScope({ requestId: id }, next);
+}
 
-    if (!providedKey || providedKey !== process.env.SECRET_KEY) {
-        console.warn('Tentativa de acesso não autorizado.');
-        return res.status(403).json({ error: 'Acesso não autorizado' });
+app.use(requestId);
+app.use(trackRequests);
+// O corpo bruto é guardado para a verificação de assinaturas (REQUEST_SIGNATURE).
+// BODY_LIMIT (padrão 10mb) comporta as operações em lote de até BULK_MAX_ITEMS itens.
+app.use(express.json({ limit: process.env.BODY_LIMIT || '10mb', verify: captureRawBody }));
+
+// Responde um erro no formato do Wix ({ error, code }). Erros do adaptador e do MySQL conhecidos
+// mantêm a mensagem; os demais são registrados e devolvidos como erro interno, sem detalhes.
+function sendError(res, err, context) {
+    const adapterError = toAdapterError(err);
+    if (adapterError) {
+        countError(adapterError.code);
+        return res.status(adapterError.statusCode).json({ error: adapterError.message, code: adapterError.code });
     }
 
-    next();
+    countError(ERROR_CODES.UNKNOWN_ERROR);
+    logger.error(context, { error: err });
+    res.status(500).json({ error: 'Erro interno do servidor', code: ERROR_CODES.UNKNOWN_ERROR });
 }
 
-// Função para validar consultas SQL
-function validateQuery(sql) {
-    if (!sql || typeof sql !== 'string') {
-        throw new Error('Consulta SQL inválida');
+// Com MULTI_TENANT=true cada requisição usa o banco do tenant identificado pelo installationId do Wix.
+// Só o provisionamento aceita instalações ainda não registradas.
+function tenantScope(req, res, next) {
+    if (!isMultiTenant()) {
+        return next();
     }
 
-    // Verifica se a consulta contém palavras-chave proibidas
-    const forbiddenKeywords = ['DROP', 'DELETE', 'ALTER', 'TRUNCATE'];
-    const upperCaseSql = sql.toUpperCase();
+    const installationId = req.body?.requestContext?.installationId;
+    const tenant = getTenant(installationId);
 
-    for (const keyword of forbiddenKeywords) {
-        if (upperCaseSql.includes(keyword)) {
-            throw new Error(`Uso da palavra-chave '${keyword}' não permitido`);
-        }
+    if (installationId && !tenant && req.path !== '/api/query/provision') {
+        logger.warn('Requisição de instalação não provisionada', { installationId });
+        return res.status(403).json({ error: 'Instalação não provisionada', code: ERROR_CODES.PERMISSION_DENIED });
     }
+
+    runInScope({ tenant }, next);
 }
 
-app.post('/api/query/provision', validateSecretKey, (req, res) => {
+app.use(tenantScope);
+
+// Métricas para o Prometheus. Com METRICS_TOKEN definido, exige Authorization: Bearer <token>.
+app.get('/metrics', (req, res) => {
+    const token = process.env.METRICS_TOKEN;
+    const provided = (/^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '') || [])[1];
+    if (token && !(provided && safeEqual(provided, token))) {
+        return res.status(403).json({ error: 'Acesso não autorizado', code: ERROR_CODES.PERMISSION_DENIED });
+    }
+
+    res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
+
+// Liveness, sem autenticação e sem tocar no banco
+app.get('/healthz', (req, res) => {
+    res.status(200).json(getLiveness());
+});
+
+// Readiness para o monitor de disponibilidade. Por ser GET, a chave secreta vem no cabeçalho X-Secret-Key.
+// No modo multi-tenant o banco verificado é o da instalação em X-Installation-Id; sem o cabeçalho,
+// verifica o servidor das credenciais do ambiente (DB_HOST, DB_USER, DB_PASSWORD).
+app.get('/readyz', async (req, res) => {
+    const providedKey = req.get('X-Secret-Key');
+    if (!providedKey || !matchesActiveKey(providedKey)) {
+        logger.warn('Tentativa de acesso não autorizado ao /readyz');
+        return res.status(403).json({ error: 'Acesso não autorizado', code: ERROR_CODES.PERMISSION_DENIED });
+    }
+
+    try {
+        const installationId = isMultiTenant() ? req.get('X-Installation-Id') : null;
+        const tenant = getTenant(installationId);
+        if (installationId && !tenant) {
+            return res.status(403).json({ error: 'Instalação não provisionada', code: ERROR_CODES.PERMISSION_DENIED });
+        }
+
+        const scope = tenant ? { tenant } : { defaultCredentials: true };
+        const readiness = await runInScope(scope, () => checkReadiness());
+        if (readiness.status !== 'ok') {
+            logger.warn('Verificação de prontidão falhou', { checks: readiness.checks });
+        }
+        res.status(readiness.status === 'ok' ? 200 : 503).json(readiness);
+    } catch (err) {
+        sendError(res, err, 'Erro na verificação de prontidão');
+    }
+});
+
+app.post('/api/query/provision', validateSecretKey, async (req, res) => {
     try {
         const installationId = req.body?.requestContext?.installationId;
 
         if (!installationId) {
-            return res.status(400).json({ error: 'installationId não fornecido' });
+            return res.status(400).json({ error: 'installationId não fornecido', code: ERROR_CODES.VALIDATION_ERROR });
+        }
+
+        // No modo multi-tenant a instalação ganha o próprio banco no registro de tenants.
+        // Com TENANT_CREATE_DATABASE=true o banco é criado (se não existir) antes do registro, a cada provisionamento.
+        if (isMultiTenant()) {
+            const prepare = process.env.TENANT_CREATE_DATABASE === 'true' ? createTenantDatabase : undefined;
+            const { tenant, created } = await registerTenant(installationId, hashSecretKey(req.body.requestContext.settings.secretKey), prepare);
+            logger.info(created ? 'Tenant registrado' : 'Tenant já registrado', { installationId, database: tenant.database });
         }
 
-        console.log(`Provisionamento realizado para installationId: ${installationId}`);
+        logger.info('Provisionamento realizado', { installationId });
 
         res.status(200).json({
             status: 'success',
@@ -51,49 +158,148 @@ app.post('/api/query/provision', validateSecretKey, (req, res) => {
             message: 'Provisionamento concluído com sucesso'
         });
     } catch (err) {
-        console.error('Erro no provisionamento:', err.message);
-        res.status(500).json({ error: 'Erro interno do servidor' });
+        sendError(res, err, 'Erro no provisionamento');
     }
 });
 
+// Middleware das rotas de SQL livre, obsoletas em favor das consultas nomeadas (/api/queries/run).
+// Com ALLOW_RAW_SQL=false elas deixam de responder.
+function rawSqlEndpoint(req, res, next) {
+    if (process.env.ALLOW_RAW_SQL === 'false') {
+        return res.status(410).json({ error: 'SQL livre desativado neste servidor; use /api/queries/run', code: ERROR_CODES.PERMISSION_DENIED });
+    }
+
+    logger.warn('Rota obsoleta usada; prefira as consultas nomeadas', { method: req.method, path: req.path });
+    res.set('Deprecation', 'true');
+    res.set('Link', '</api/queries/run>; rel="successor-version"');
+    next();
+}
+
 // Endpoint para QUERY (GET)
-app.get('/api/query', validateSecretKey, async (req, res) => {
+app.get('/api/query', validateSecretKey, rawSqlEndpoint, async (req, res) => {
     try {
         const sql = req.body.sql;
 
         if (!sql) {
-            return res.status(400).json({ error: 'Consulta SQL inválida' });
+            return res.status(400).json({ error: 'Consulta SQL inválida', code: ERROR_CODES.VALIDATION_ERROR });
         }
 
-        validateQuery(sql);
+        // Só SELECT, com as tabelas liberadas e o limite de linhas aplicado
+        const safeSql = validateQuery(sql, 'query', req.body.requestContext);
 
-        const result = await executeQuery(sql);
+        const result = await executeQuery(safeSql);
         res.json({ rows: result });
     } catch (err) {
-        console.error('Erro ao executar consulta GET:', err.message);
-        res.status(400).json({ error: err.message });
+        sendError(res, err, 'Erro ao executar consulta GET');
     }
 });
 
 // Endpoint para UPDATE/DELETE (POST)
-app.post('/api/update', validateSecretKey, async (req, res) => {
+app.post('/api/update', validateSecretKey, rawSqlEndpoint, async (req, res) => {
     try {
         const sql = req.body.sql;
 
         if (!sql) {
-            return res.status(400).json({ error: 'Consulta SQL inválida' });
+            return res.status(400).json({ error: 'Consulta SQL inválida', code: ERROR_CODES.VALIDATION_ERROR });
         }
 
-        validateQuery(sql);
+        // Só INSERT/REPLACE/UPDATE, com WHERE obrigatório no UPDATE
+        const safeSql = validateQuery(sql, 'update', req.body.requestContext);
 
-        await executeQuery(sql);
+        await executeQuery(safeSql);
         res.json({ message: 'Operação realizada com sucesso' });
     } catch (err) {
-        console.error('Erro ao executar consulta POST:', err.message);
-        res.status(400).json({ error: err.message });
+        sendError(res, err, 'Erro ao executar consulta POST');
+    }
+});
+
+// Executa uma consulta nomeada definida no servidor: { name, params: { nome: valor } }
+app.post('/api/queries/run', validateSecretKey, async (req, res) => {
+    try {
+        const { name, params, requestContext } = req.body;
+
+        if (!name || typeof name !== 'string') {
+            return res.status(400).json({ error: 'Nome da consulta é obrigatório', code: ERROR_CODES.VALIDATION_ERROR });
+        }
+
+        const result = await runNamedQuery(name, params, requestContext);
+        res.status(200).json(result);
+    } catch (err) {
+        sendError(res, err, 'Erro ao executar consulta nomeada');
+    }
+});
+
+// Lista as consultas nomeadas disponíveis para o papel do chamador
+app.post('/api/queries/list', validateSecretKey, (req, res) => {
+    try {
+        res.status(200).json({ queries: listNamedQueries(req.body.requestContext) });
+    } catch (err) {
+        sendError(res, err, 'Erro ao listar consultas nomeadas');
     }
 });
 
+// Operadores de consulta anunciados ao Wix para cada tipo de campo
+const TEXT_QUERY_OPERATORS = ["eq", "lt", "gt", "hasSome", "and", "lte", "gte", "or", "not", "ne", "startsWith", "endsWith"];
+const DEFAULT_QUERY_OPERATORS = ["eq", "lt", "gt", "hasSome", "and", "lte", "gte", "or", "not", "ne"];
+
+// O _id de chave composta é codificado, então só aceita comparações de igualdade (ver rewriteIdFilter)
+const COMPOSITE_ID_QUERY_OPERATORS = ["eq", "hasSome", "and", "or", "not", "ne"];
+
+// Monta o schema de uma coleção no formato esperado pelo Wix, usado por schemas/find e schemas/list
+async function describeSchema(table, collection) {
+    const columnsResult = await collection.describe();
+    const fields = {};
+
+    // Chaves compostas são expostas como um _id codificado, além das próprias colunas
+    if (collection.getPrimaryKey().length > 1) {
+        fields._id = {
+            displayName: '_id',
+            type: 'text',
+            required: true,
+            unique: true,
+            queryOperators: COMPOSITE_ID_QUERY_OPERATORS
+        };
+    }
+
+    for (const column of columnsResult) {
+        // Colunas ocultas não aparecem; colunas com apelido usam o nome configurado e a chave primária vira _id
+        const fieldName = collection.toField(column.name);
+        if (!fieldName) continue;
+
+        const isRequired = !column.nullable; // Campo obrigatório se não aceitar NULL
+
+        // Chaves estrangeiras para coleções expostas viram campos de referência
+        const referencedCollection = fieldName !== '_id' && collection.referenceOf(column.name);
+        if (referencedCollection) {
+            fields[fieldName] = { ...referenceField(fieldName, referencedCollection, isRequired), unique: column.key === 'UNI' };
+            continue;
+        }
+
+        // O _id é sempre texto para o Wix, mesmo com chave primária numérica
+        const fieldType = fieldName === '_id' ? 'text' : mapMySQLTypeToWixType(column.type);
+        const isUnique = fieldName === '_id' || column.key === 'UNI'; // Campo único se for a chave primária ou "UNI"
+
+        fields[fieldName] = {
+            displayName: fieldName,
+            type: fieldType,
+            required: isRequired,
+            unique: isUnique,
+            queryOperators: fieldType === 'text' ? TEXT_QUERY_OPERATORS : DEFAULT_QUERY_OPERATORS
+        };
+    }
+
+    // Operações liberadas para o papel do chamador
+    const { displayName, maxPageSize, ttl } = collection.settings;
+    return {
+        displayName,
+        id: table,
+        allowedOperations: collection.allowedOperations,
+        maxPageSize,
+        ttl,
+        fields
+    };
+}
+
 // Endpoint para encontrar schemas específicos
 app.post('/api/query/schemas/find', validateSecretKey, async (req, res) => {
     try {
@@ -101,117 +307,77 @@ app.post('/api/query/schemas/find', validateSecretKey, async (req, res) => {
 
         // Validação dos parâmetros
         if (!Array.isArray(schemaIds) || schemaIds.length === 0) {
-            return res.status(400).json({ error: 'Lista de schemaIds não fornecida ou vazia' });
+            return res.status(400).json({ error: 'Lista de schemaIds não fornecida ou vazia', code: ERROR_CODES.VALIDATION_ERROR });
         }
 
         // Constrói o objeto de resposta
         const schemas = [];
 
         for (const table of schemaIds) {
-            const escapedTable = mysql.escapeId(table);
-            const sqlColumns = `DESCRIBE ${escapedTable}`;
-            const columnsResult = await executeQuery(sqlColumns);
-
-            // Se a tabela não existir, ignorar e continuar
-            if (!Array.isArray(columnsResult)) {
-                console.warn(`Tabela ${table} não encontrada ou resultados inválidos.`);
+            // Coleções ocultas pela configuração são tratadas como inexistentes
+            if (!isCollectionExposed(table)) {
+                logger.warn('Tabela não exposta ao Wix', { table });
                 continue;
             }
 
-            // Mapeia os campos para o formato esperado pelo Wix
-            const fields = {
-                _id: {
-                    displayName: "_id",
-                    type: "text",
-                    queryOperators: [
-                        "eq", "lt", "gt", "hasSome", "and", "lte", "gte", "or", "not", "ne", "startsWith", "endsWith"
-                    ]
-                },
-                _owner: {
-                    displayName: "_owner",
-                    type: "text",
-                    queryOperators: [
-                        "eq", "lt", "gt", "hasSome", "and", "lte", "gte", "or", "not", "ne", "startsWith", "endsWith"
-                    ]
-                }
-            };
-
-            for (const column of columnsResult) {
-                const fieldName = column.Field || '';
-                const fieldType = mapMySQLTypeToWixType(column.Type || '');
-                const isRequired = column.Null === 'NO'; // Campo obrigatório se Null for "NO"
-
-                fields[fieldName] = {
-                    displayName: fieldName,
-                    type: fieldType,
-                    queryOperators: [
-                        "eq", "lt", "gt", "hasSome", "and", "lte", "gte", "or", "not", "ne", "startsWith", "endsWith"
-                    ],
-                    required: isRequired
-                };
-            }
-
-            // Adiciona o schema ao array de schemas
-            schemas.push({
-                displayName: table,
-                id: table,
-                allowedOperations: ["get", "find", "count", "update", "insert", "remove"],
-                maxPageSize: 50,
-                ttl: 3600,
-                fields: fields
-            });
+            const collection = resolveCollection(table, undefined, req.body.requestContext);
+            schemas.push(await describeSchema(table, collection));
         }
 
         // Retorna a resposta no formato esperado pelo Wix
         res.status(200).json({ schemas });
     } catch (err) {
-        console.error('Erro ao encontrar schemas:', err.message);
-        res.status(500).json({ error: 'Erro interno do servidor' });
+        sendError(res, err, 'Erro ao encontrar schemas');
     }
 });
 
-// Função auxiliar para mapear tipos MySQL para tipos Wix
-function mapMySQLTypeToWixType(mysqlType) {
-    if (mysqlType.includes('int') || mysqlType.includes('float') || mysqlType.includes('double')) {
-        return 'number';
-    } else if (mysqlType.includes('date') || mysqlType.includes('timestamp')) {
-        return 'datetime';
-    } else {
-        return 'text';
+// Tamanho da página: o limite pedido nunca ultrapassa o maxPageSize anunciado para a coleção, que também é o padrão
+function resolvePageSize(requestedLimit, collection) {
+    return typeof requestedLimit === 'number' && requestedLimit >= 0
+        ? Math.min(Math.floor(requestedLimit), collection.settings.maxPageSize)
+        : collection.settings.maxPageSize;
+}
+
+// Busca um registro pelo _id e o devolve serializado no formato do Wix (ou null se não existir).
+// A coleção já deve ter sido descrita com collection.describe(); a política do dono para access é aplicada
+// ("read" por padrão; a releitura depois de uma escrita usa "write", a mesma que autorizou a gravação).
+// Com fields, lê apenas a projeção pedida (mais o _id).
+async function fetchSerializedItem(runQuery, collection, itemId, fields, access = 'read') {
+    const condition = collection.idCondition(itemId, access);
+    const rows = await runQuery(
+        `SELECT ${collection.selectList(fields)} FROM ${mysql.escapeId(collection.table)} WHERE ${condition.sql} LIMIT 1`,
+        condition.params
+    );
+    if (!rows || rows.length === 0) {
+        return null;
     }
+    return collection.toItem(serializeItem(rows[0], collection.getColumns()));
 }
 
 app.post('/api/items/find', validateSecretKey, async (req, res) => {
     try {
         const { table, filter, limit, offset } = req.body;
-        const escapedTable = mysql.escapeId(table);
-
-        let sql = `SELECT * FROM ${escapedTable}`;
-        const params = [];
-
-        if (filter) {
-            const conditions = Object.entries(filter)
-                .map(([key, value]) => `${mysql.escapeId(key)} = ?`)
-                .join(' AND ');
-            sql += ` WHERE ${conditions}`;
-            params.push(...Object.values(filter));
-        }
-
-        if (limit) {
-            sql += ` LIMIT ?`;
-            params.push(limit);
-        }
+        const collection = resolveCollection(table, 'find', req.body.requestContext);
+        const escapedTable = mysql.escapeId(collection.table);
+        await collection.describe();
+
+        // O filtro { campo: valor } é tratado como igualdade entre todos os campos
+        const where = buildWhereClause(collection.prepareFilter(filter), {
+            resolveField: collection.escapedColumn,
+            condition: collection.ownerCondition('read')
+        });
 
-        if (offset) {
-            sql += ` OFFSET ?`;
-            params.push(offset);
-        }
+        // A página segue o maxPageSize da coleção, como em /api/query/data/find
+        const pageSize = resolvePageSize(limit, collection);
+        const pageOffset = typeof offset === 'number' && offset > 0 ? Math.floor(offset) : 0;
 
-        const result = await executeQuery(sql, params);
-        res.status(200).json({ items: result });
+        const result = await executeQuery(
+            `SELECT * FROM ${escapedTable}${where.clause}${buildLimitClause(pageSize, pageOffset)}`,
+            where.params
+        );
+        res.status(200).json({ items: result.map(collection.toItem) });
     } catch (err) {
-        console.error('Erro ao encontrar itens:', err.message);
-        res.status(500).json({ error: 'Erro interno do servidor' });
+        sendError(res, err, 'Erro ao encontrar itens');
     }
 });
 
@@ -222,24 +388,22 @@ app.post('/api/query/data/count', validateSecretKey, async (req, res) => {
 
         // Valida se o nome da coleção foi fornecido
         if (!collectionName) {
-            return res.status(400).json({ error: 'Nome da coleção é obrigatório' });
+            return res.status(400).json({ error: 'Nome da coleção é obrigatório', code: ERROR_CODES.VALIDATION_ERROR });
         }
 
-        // Escapa o nome da tabela para evitar SQL injection
-        const escapedTable = mysql.escapeId(collectionName);
+        // Aplica a configuração da coleção e escapa o nome da tabela para evitar SQL injection
+        const collection = resolveCollection(collectionName, 'count', req.body.requestContext);
+        const escapedTable = mysql.escapeId(collection.table);
+        await collection.describe();
 
-        // Monta a consulta SQL básica
-        let sql = `SELECT COUNT(*) AS totalCount FROM ${escapedTable}`;
-        const params = [];
+        // Traduz o filtro do Wix para a cláusula WHERE
+        const { clause, params } = buildWhereClause(collection.prepareFilter(filter), {
+            resolveField: collection.escapedColumn,
+            condition: collection.ownerCondition('read')
+        });
 
-        // Adiciona condições de filtro, se existirem
-        if (filter && Object.keys(filter).length > 0) {
-            const conditions = Object.entries(filter)
-                .map(([key, value]) => `${mysql.escapeId(key)} = ?`)
-                .join(' AND ');
-            sql += ` WHERE ${conditions}`;
-            params.push(...Object.values(filter));
-        }
+        // Monta a consulta SQL de contagem
+        const sql = `SELECT COUNT(*) AS totalCount FROM ${escapedTable}${clause}`;
 
         // Executa a consulta no banco de dados
         const result = await executeQuery(sql, params);
@@ -247,26 +411,70 @@ app.post('/api/query/data/count', validateSecretKey, async (req, res) => {
         // Retorna o total de registros no formato esperado pelo Wix
         res.status(200).json({ totalCount: result[0].totalCount });
     } catch (err) {
-        console.error('Erro ao contar itens:', err.message);
-        res.status(500).json({ error: 'Erro interno do servidor' });
+        sendError(res, err, 'Erro ao contar itens');
+    }
+});
+
+app.post('/api/query/data/aggregate', validateSecretKey, async (req, res) => {
+    try {
+        const { collectionName, returnTotalCount } = req.body;
+
+        // Valida se o nome da coleção foi fornecido
+        if (!collectionName) {
+            return res.status(400).json({ error: 'Nome da coleção é obrigatório', code: ERROR_CODES.VALIDATION_ERROR });
+        }
+
+        // Agregações são leituras e seguem a permissão de "find"
+        const collection = resolveCollection(collectionName, 'find', req.body.requestContext);
+        await collection.describe();
+
+        // Traduz filtro, agrupamento, acumuladores, pós-filtro, ordenação e paginação para SQL.
+        // Como no /data/find, o número de grupos devolvidos é limitado ao maxPageSize da coleção.
+        const { skip } = req.body;
+        const request = {
+            ...req.body,
+            filter: collection.prepareFilter(req.body.filter),
+            limit: resolvePageSize(req.body.limit, collection),
+            skip: typeof skip === 'number' && skip > 0 ? Math.floor(skip) : 0
+        };
+        const query = buildAggregateQuery(collection.table, request, {
+            resolveField: collection.escapedColumn,
+            condition: collection.ownerCondition('read')
+        });
+        const rows = await executeQuery(query.sql, query.params);
+
+        const response = { items: formatAggregateRows(rows, query) };
+
+        if (returnTotalCount) {
+            const countResult = await executeQuery(query.countSql, query.countParams);
+            response.totalCount = countResult[0].totalCount;
+        }
+
+        // Retorna os grupos no formato esperado pelo Wix
+        res.status(200).json(response);
+    } catch (err) {
+        sendError(res, err, 'Erro ao agregar itens');
     }
 });
 
 app.get('/api/items/:table/:id', validateSecretKey, async (req, res) => {
     try {
         const { table, id } = req.params;
-        const escapedTable = mysql.escapeId(table);
-        const sql = `SELECT * FROM ${escapedTable} WHERE _id = ?`;
-        const result = await executeQuery(sql, [id]);
+        const collection = resolveCollection(table, 'get', req.body.requestContext);
+        const escapedTable = mysql.escapeId(collection.table);
+        await collection.describe();
+
+        const condition = collection.idCondition(id, 'read');
+        const sql = `SELECT * FROM ${escapedTable} WHERE ${condition.sql}`;
+        const result = await executeQuery(sql, condition.params);
 
         if (!result || result.length === 0) {
-            return res.status(404).json({ error: 'Item não encontrado' });
+            return res.status(404).json({ error: 'Item não encontrado', code: ERROR_CODES.ITEM_NOT_FOUND });
         }
 
-        res.status(200).json({ item: result[0] });
+        res.status(200).json({ item: collection.toItem(result[0]) });
     } catch (err) {
-        console.error('Erro ao obter item:', err.message);
-        res.status(500).json({ error: 'Erro interno do servidor' });
+        sendError(res, err, 'Erro ao obter item');
     }
 });
 
@@ -277,7 +485,7 @@ app.post('/api/query/data/insert', validateSecretKey, async (req, res) => {
 
         // Valida se o nome da coleção foi fornecido
         if (!collectionName || typeof collectionName !== 'string') {
-            return res.status(400).json({ error: 'Nome da coleção é obrigatório e deve ser uma string.' });
+            return res.status(400).json({ error: 'Nome da coleção é obrigatório e deve ser uma string.', code: ERROR_CODES.VALIDATION_ERROR });
         }
 
         // Determina qual campo usar para os dados (prioriza "item" sobre "data")
@@ -285,123 +493,176 @@ app.post('/api/query/data/insert', validateSecretKey, async (req, res) => {
 
         // Valida se os dados a serem inseridos foram fornecidos
         if (!payload || typeof payload !== 'object' || Object.keys(payload).length === 0) {
-            return res.status(400).json({ error: 'Os dados a serem inseridos são obrigatórios e devem ser um objeto não vazio.' });
+            return res.status(400).json({ error: 'Os dados a serem inseridos são obrigatórios e devem ser um objeto não vazio.', code: ERROR_CODES.VALIDATION_ERROR });
         }
 
-        // Escapa o nome da tabela para evitar SQL injection
-        const escapedTable = mysql.escapeId(collectionName);
+        // Aplica a configuração da coleção e escapa o nome da tabela para evitar SQL injection
+        const collection = resolveCollection(collectionName, 'insert', req.body.requestContext);
+        const escapedTable = mysql.escapeId(collection.table);
 
-        // Prepara os campos e valores para a inserção
-        const fields = [];
-        const placeholders = [];
-        const values = [];
+        // Executa a inserção e relê o registro gravado na mesma conexão
+        const { insertedId, insertedItem } = await withConnection(async (runQuery) => {
+            // Converte os campos e valores do Wix conforme as colunas da tabela
+            const columns = await collection.describe();
+            // O dono do registro é sempre o membro da requisição (exceto para chamadores privilegiados)
+            const row = collection.stampOwner(deserializeItem(collection.toRow(payload), columns));
 
-        for (const [key, value] of Object.entries(payload)) {
-            fields.push(mysql.escapeId(key)); // Escapa o nome do campo
-            placeholders.push('?'); // Placeholder para o valor
-            values.push(value); // Valor a ser inserido
-        }
+            // Prepara os campos e valores para a inserção
+            const fields = Object.keys(row).map((key) => mysql.escapeId(key));
+            const placeholders = fields.map(() => '?');
+            const values = Object.values(row);
 
-        // Monta a consulta SQL de inserção
-        const sql = `INSERT INTO ${escapedTable} (${fields.join(', ')}) VALUES (${placeholders.join(', ')})`;
+            if (fields.length === 0) {
+                throw new ValidationError('Nenhum campo válido para inserir.');
+            }
 
-        // Executa a consulta SQL
-        const result = await executeQuery(sql, values);
+            // Monta a consulta SQL de inserção
+            const sql = `INSERT INTO ${escapedTable} (${fields.join(', ')}) VALUES (${placeholders.join(', ')})`;
+            const result = await runQuery(sql, values);
 
-        // Retorna o ID do item inserido (se aplicável)
-        const insertedId = result.insertId || null;
+            // Retorna o ID do item inserido (gerado pelo banco ou montado a partir da chave primária)
+            const id = collection.insertedId(row, result.insertId);
+            const stored = id ? await fetchSerializedItem(runQuery, collection, id, undefined, 'write') : null;
+            return { insertedId: id, insertedItem: stored };
+        });
 
         // Retorna a resposta no formato esperado pelo Wix
         res.status(200).json({
             _id: insertedId ? insertedId.toString() : null,
+            item: insertedItem,
             message: 'Item inserido com sucesso.'
         });
     } catch (err) {
-        console.error('Erro ao inserir item:', err.message);
-        res.status(500).json({ error: 'Erro interno do servidor' });
+        sendError(res, err, 'Erro ao inserir item');
     }
 });
 
 app.post('/api/query/data/find', validateSecretKey, async (req, res) => {
     try {
-        const { collectionName, filter, sort, skip, limit, returnTotalCount } = req.body;
+        const { collectionName, filter, sort, skip, limit, returnTotalCount, totalCountMode, cursorPaging, fields } = req.body;
+        const include = req.body.includeReferences;
 
         if (!collectionName) {
-            return res.status(400).json({ error: 'Nome da coleção é obrigatório' });
+            return res.status(400).json({ error: 'Nome da coleção é obrigatório', code: ERROR_CODES.VALIDATION_ERROR });
         }
 
-        const escapedTable = mysql.escapeId(collectionName);
-        let sql = `SELECT * FROM ${escapedTable}`;
-        const params = [];
+        const collection = resolveCollection(collectionName, 'find', req.body.requestContext);
+        const escapedTable = mysql.escapeId(collection.table);
+        const countMode = resolveTotalCountMode(totalCountMode);
 
-        if (filter && Object.keys(filter).length > 0) {
-            const { operator, fieldName, value } = filter;
+        // Paginação por cursor ({ cursorPaging: { limit, cursor } }) em vez de LIMIT skip, limit
+        const useCursor = Boolean(cursorPaging && typeof cursorPaging === 'object');
+        if (useCursor && typeof skip === 'number' && skip > 0) {
+            return res.status(400).json({ error: 'skip não pode ser combinado com cursorPaging', code: ERROR_CODES.VALIDATION_ERROR });
+        }
 
-            if (!['$hasSome', '$eq'].includes(operator)) {
-                return res.status(400).json({ error: 'Operador de filtro inválido' });
-            }
+        const pageSize = resolvePageSize(useCursor ? cursorPaging.limit : limit, collection);
+
+        // Itens e contagem usam a mesma conexão do pool e o mesmo filtro
+        const { items, totalCount, nextCursor } = await withConnection(async (runQuery) => {
+            // As colunas determinam a chave primária usada no lugar do _id
+            const columns = await collection.describe();
+            const preparedFilter = collection.prepareFilter(filter);
+            const ownerCondition = collection.ownerCondition('read');
+            const where = buildWhereClause(preparedFilter, {
+                resolveField: collection.escapedColumn,
+                condition: ownerCondition
+            });
 
-            if (operator === '$hasSome') {
-                if (!Array.isArray(value)) {
-                    return res.status(400).json({ error: 'O valor do filtro deve ser um array para o operador $hasSome' });
+            let rows;
+            let next = null;
+            if (useCursor) {
+                // Busca a partir da última linha da página anterior (seek), sem descartar linhas com OFFSET
+                const keys = resolveSortKeys(sort, collection);
+                const queryFingerprint = fingerprint(collection.name, preparedFilter, keys);
+                const seekCondition = cursorPaging.cursor
+                    ? buildSeekCondition(keys, decodeCursor(cursorPaging.cursor, keys, queryFingerprint))
+                    : null;
+                const conditions = [ownerCondition, seekCondition].filter(Boolean);
+                const pageWhere = buildWhereClause(preparedFilter, {
+                    resolveField: collection.escapedColumn,
+                    condition: conditions.length > 0 ? andConditions(...conditions) : null
+                });
+
+                // Uma linha a mais indica se existe próxima página
+                const selectList = collection.selectList(fields, keys.map(({ column }) => column));
+                const fetched = await runQuery(
+                    `SELECT ${selectList} FROM ${escapedTable}${pageWhere.clause}${buildKeysetOrderBy(keys)}${buildLimitClause(pageSize + 1)}`,
+                    pageWhere.params
+                );
+                rows = fetched.slice(0, pageSize);
+                if (fetched.length > pageSize && rows.length > 0) {
+                    next = encodeCursor(rows[rows.length - 1], keys, queryFingerprint);
                 }
-                const placeholders = value.map(() => '?').join(',');
-                sql += ` WHERE ${mysql.escapeId(fieldName)} IN (${placeholders})`;
-                params.push(...value);
-            } else if (operator === '$eq') {
-                sql += ` WHERE ${mysql.escapeId(fieldName)} = ?`;
-                params.push(value);
+            } else {
+                const offset = typeof skip === 'number' && skip > 0 ? Math.floor(skip) : 0;
+                rows = await runQuery(
+                    `SELECT ${collection.selectList(fields)} FROM ${escapedTable}${where.clause}${buildOrderByClause(sort, { resolveField: collection.escapedColumn })}${buildLimitClause(pageSize, offset)}`,
+                    where.params
+                );
             }
-        }
 
-        if (sort && sort.length > 0) {
-            const sortConditions = sort.map(({ fieldName, order }) => {
-                const escapedField = mysql.escapeId(fieldName);
-                return `${escapedField} ${order === 'ASC' ? 'ASC' : 'DESC'}`;
-            }).join(', ');
-            sql += ` ORDER BY ${sortConditions}`;
-        }
+            // Colunas lidas só para a ordenação do cursor não voltam ao Wix
+            const serialized = rows.map((row) => collection.project(collection.toItem(serializeItem(row, columns)), fields));
+            // Itens referenciados são lidos numa única consulta por campo, para a página inteira
+            await includeReferences(runQuery, collection, serialized, include, req.body.requestContext);
+
+            if (!returnTotalCount) {
+                return { items: serialized, totalCount: null, nextCursor: next };
+            }
+
+            const total = await countTotal(runQuery, collection.table, escapedTable, where, countMode);
+            return { items: serialized, totalCount: total, nextCursor: next };
+        });
 
-        if (typeof skip === 'number' && typeof limit === 'number') {
-            sql += ` LIMIT ?, ?`;
-            params.push(skip, limit);
+        const response = { items };
+        if (returnTotalCount && totalCount !== null) {
+            response.totalCount = totalCount;
+        }
+        if (useCursor) {
+            response.pagingMetadata = { count: items.length, cursors: { next: nextCursor } };
         }
 
-        console.log('SQL Query:', sql);
-        console.log('Params:', params);
+        res.status(200).json(response);
+    } catch (err) {
+        sendError(res, err, 'Erro ao buscar itens');
+    }
+});
 
-        const items = await executeQuery(sql, params);
+app.post('/api/query/data/get', validateSecretKey, async (req, res) => {
+    try {
+        const { collectionName, itemId, fields } = req.body;
+        const include = req.body.includeReferences;
 
-        if (!Array.isArray(items) || items.length === 0) {
-            return res.status(200).json({ items: [] });
+        // Valida se o nome da coleção foi fornecido
+        if (!collectionName) {
+            return res.status(400).json({ error: 'Nome da coleção é obrigatório', code: ERROR_CODES.VALIDATION_ERROR });
         }
 
-        let totalCount = null;
-        if (returnTotalCount) {
-            const countSql = `SELECT COUNT(*) AS totalCount FROM ${escapedTable}`;
-            const countResult = await executeQuery(countSql, []);
-            totalCount = countResult[0].totalCount;
+        // Valida se o ID do item foi fornecido
+        if (itemId === undefined || itemId === null || itemId === '') {
+            return res.status(400).json({ error: 'ID do item é obrigatório', code: ERROR_CODES.VALIDATION_ERROR });
         }
 
-        const formattedItems = items.map((item) => {
-            const formattedItem = { ...item };
-            if (formattedItem.date_added instanceof Date) {
-                formattedItem.date_added = { "$date": formattedItem.date_added.toISOString() };
-            } else {
-                delete formattedItem.date_added;
+        const collection = resolveCollection(collectionName, 'get', req.body.requestContext);
+        const item = await withConnection(async (runQuery) => {
+            await collection.describe();
+            const found = await fetchSerializedItem(runQuery, collection, itemId, fields);
+            if (found) {
+                await includeReferences(runQuery, collection, [found], include, req.body.requestContext);
             }
-            return formattedItem;
+            return found;
         });
 
-        const response = { items: formattedItems };
-        if (returnTotalCount) {
-            response.totalCount = totalCount;
+        // O Wix espera 404 quando o item não existe
+        if (!item) {
+            return res.status(404).json({ error: 'Item não encontrado', code: ERROR_CODES.ITEM_NOT_FOUND });
         }
 
-        res.status(200).json(response);
+        // Retorna o item no mesmo formato usado pelo /data/find
+        res.status(200).json({ item });
     } catch (err) {
-        console.error('Erro ao buscar itens:', err.message, err.stack);
-        res.status(500).json({ error: 'Erro interno do servidor', details: err.message });
+        sendError(res, err, 'Erro ao obter item');
     }
 });
 
@@ -411,46 +672,58 @@ app.post('/api/query/data/update', validateSecretKey, async (req, res) => {
 
         // Valida se o nome da coleção foi fornecido
         if (!collectionName) {
-            return res.status(400).json({ error: 'Nome da coleção é obrigatório' });
+            return res.status(400).json({ error: 'Nome da coleção é obrigatório', code: ERROR_CODES.VALIDATION_ERROR });
         }
 
         // Valida se o item contém os dados necessários
         if (!item || !item._id) {
-            return res.status(400).json({ error: 'Item inválido ou ID ausente' });
+            return res.status(400).json({ error: 'Item inválido ou ID ausente', code: ERROR_CODES.VALIDATION_ERROR });
         }
 
-        // Escapa o nome da tabela para evitar SQL Injection
-        const escapedTable = mysql.escapeId(collectionName);
+        // Aplica a configuração da coleção e escapa o nome da tabela para evitar SQL Injection
+        const collection = resolveCollection(collectionName, 'update', req.body.requestContext);
+        const escapedTable = mysql.escapeId(collection.table);
 
-        // Monta a consulta SQL para atualização
-        const updateFields = Object.keys(item)
-            .filter(key => key !== '_id') // Ignora o campo _id, pois ele é usado na cláusula WHERE
-            .map(key => `${mysql.escapeId(key)} = ?`)
-            .join(', ');
+        // Ignora o campo _id, pois ele é usado na cláusula WHERE
+        const { _id: itemId, ...changes } = item;
 
-        if (!updateFields) {
-            return res.status(400).json({ error: 'Nenhum campo para atualizar' });
+        if (Object.keys(changes).length === 0) {
+            return res.status(400).json({ error: 'Nenhum campo para atualizar', code: ERROR_CODES.VALIDATION_ERROR });
         }
 
-        const sql = `UPDATE ${escapedTable} SET ${updateFields} WHERE _id = ?`;
-        const params = [...Object.values(item).filter((_, index) => index !== Object.keys(item).indexOf('_id')), item._id];
+        // Executa a atualização e relê o registro na mesma conexão
+        const { result, updatedItem } = await withConnection(async (runQuery) => {
+            // Converte os campos e valores do Wix conforme as colunas da tabela
+            const columns = await collection.describe();
+            // Membros não podem transferir o registro para outro dono
+            const row = collection.protectOwner(deserializeItem(collection.toRow(changes), columns));
 
-        console.log('SQL Query:', sql);
-        console.log('Params:', params);
+            if (Object.keys(row).length === 0) {
+                throw new ValidationError('Nenhum campo para atualizar');
+            }
 
-        // Executa a consulta de atualização
-        const result = await executeQuery(sql, params);
+            // Monta a consulta SQL para atualização
+            const updateFields = Object.keys(row).map((key) => `${mysql.escapeId(key)} = ?`).join(', ');
+            const condition = collection.idCondition(itemId, 'write');
+            const sql = `UPDATE ${escapedTable} SET ${updateFields} WHERE ${condition.sql}`;
+            const params = [...Object.values(row), ...condition.params];
+
+            const updateResult = await runQuery(sql, params);
+            const stored = updateResult.affectedRows > 0
+                ? await fetchSerializedItem(runQuery, collection, itemId, undefined, 'write')
+                : null;
+            return { result: updateResult, updatedItem: stored };
+        });
 
         // Verifica se algum registro foi afetado
         if (result.affectedRows === 0) {
-            return res.status(404).json({ error: 'Registro não encontrado' });
+            return res.status(404).json({ error: 'Registro não encontrado', code: ERROR_CODES.ITEM_NOT_FOUND });
         }
 
         // Retorna a resposta de sucesso
-        res.status(200).json({ message: 'Registro atualizado com sucesso', affectedRows: result.affectedRows });
+        res.status(200).json({ message: 'Registro atualizado com sucesso', affectedRows: result.affectedRows, item: updatedItem });
     } catch (err) {
-        console.error('Erro ao atualizar registro:', err.message, err.stack);
-        res.status(500).json({ error: 'Erro interno do servidor', details: err.message });
+        sendError(res, err, 'Erro ao atualizar registro');
     }
 });
 
@@ -460,138 +733,228 @@ app.post('/api/query/data/remove', validateSecretKey, async (req, res) => {
 
         // Valida se o nome da coleção foi fornecido
         if (!collectionName) {
-            return res.status(400).json({ error: 'Nome da coleção é obrigatório' });
+            return res.status(400).json({ error: 'Nome da coleção é obrigatório', code: ERROR_CODES.VALIDATION_ERROR });
         }
 
         // Valida se o ID do item foi fornecido
         if (!itemId) {
-            return res.status(400).json({ error: 'ID do item é obrigatório' });
+            return res.status(400).json({ error: 'ID do item é obrigatório', code: ERROR_CODES.VALIDATION_ERROR });
         }
 
-        // Escapa o nome da tabela para evitar SQL Injection
-        const escapedTable = mysql.escapeId(collectionName);
+        // Aplica a configuração da coleção e escapa o nome da tabela para evitar SQL Injection
+        const collection = resolveCollection(collectionName, 'remove', req.body.requestContext);
+        const escapedTable = mysql.escapeId(collection.table);
+        await collection.describe();
 
         // Monta a consulta SQL para remoção
-        const sql = `DELETE FROM ${escapedTable} WHERE _id = ?`;
-        const params = [itemId];
-
-        console.log('SQL Query:', sql);
-        console.log('Params:', params);
+        const condition = collection.idCondition(itemId, 'write');
+        const sql = `DELETE FROM ${escapedTable} WHERE ${condition.sql}`;
+        const params = condition.params;
 
         // Executa a consulta de remoção
         const result = await executeQuery(sql, params);
 
         // Verifica se algum registro foi afetado
         if (result.affectedRows === 0) {
-            return res.status(404).json({ error: 'Registro não encontrado' });
+            return res.status(404).json({ error: 'Registro não encontrado', code: ERROR_CODES.ITEM_NOT_FOUND });
         }
 
         // Retorna a resposta de sucesso
         res.status(200).json({ message: 'Registro removido com sucesso', affectedRows: result.affectedRows });
     } catch (err) {
-        console.error('Erro ao remover registro:', err.message, err.stack);
-        res.status(500).json({ error: 'Erro interno do servidor', details: err.message });
+        sendError(res, err, 'Erro ao remover registro');
+    }
+});
+
+// Responde uma operação em lote: 200 quando a transação foi confirmada, 400 quando foi desfeita
+function sendBulkOutcome(res, outcome) {
+    if (!outcome.committed) {
+        return res.status(400).json({ error: 'Nenhum item foi gravado: a operação em lote foi desfeita.', code: ERROR_CODES.VALIDATION_ERROR, ...outcome });
+    }
+    res.status(200).json(outcome);
+}
+
+app.post('/api/query/data/bulk-insert', validateSecretKey, async (req, res) => {
+    try {
+        const { collectionName, items } = req.body;
+
+        // Valida se o nome da coleção foi fornecido
+        if (!collectionName || typeof collectionName !== 'string') {
+            return res.status(400).json({ error: 'Nome da coleção é obrigatório e deve ser uma string.', code: ERROR_CODES.VALIDATION_ERROR });
+        }
+
+        const collection = resolveCollection(collectionName, 'insert', req.body.requestContext);
+        sendBulkOutcome(res, await bulkInsert(collection, items));
+    } catch (err) {
+        sendError(res, err, 'Erro ao inserir itens em lote');
+    }
+});
+
+app.post('/api/query/data/bulk-update', validateSecretKey, async (req, res) => {
+    try {
+        const { collectionName, items } = req.body;
+
+        // Valida se o nome da coleção foi fornecido
+        if (!collectionName) {
+            return res.status(400).json({ error: 'Nome da coleção é obrigatório', code: ERROR_CODES.VALIDATION_ERROR });
+        }
+
+        const collection = resolveCollection(collectionName, 'update', req.body.requestContext);
+        sendBulkOutcome(res, await bulkUpdate(collection, items));
+    } catch (err) {
+        sendError(res, err, 'Erro ao atualizar registros em lote');
+    }
+});
+
+app.post('/api/query/data/bulk-remove', validateSecretKey, async (req, res) => {
+    try {
+        const { collectionName, itemIds } = req.body;
+
+        // Valida se o nome da coleção foi fornecido
+        if (!collectionName) {
+            return res.status(400).json({ error: 'Nome da coleção é obrigatório', code: ERROR_CODES.VALIDATION_ERROR });
+        }
+
+        const collection = resolveCollection(collectionName, 'remove', req.body.requestContext);
+        sendBulkOutcome(res, await bulkRemove(collection, itemIds));
+    } catch (err) {
+        sendError(res, err, 'Erro ao remover registros em lote');
+    }
+});
+
+// Middleware que bloqueia as rotas de alteração de schema quando ALLOW_SCHEMA_CHANGES não está ativo
+// ou quando o chamador não é administrador
+function requireSchemaChanges(req, res, next) {
+    if (!isSchemaChangeAllowed()) {
+        logger.warn('Tentativa de alterar schema com ALLOW_SCHEMA_CHANGES desativado');
+        return res.status(403).json({ error: 'Alterações de schema estão desativadas neste servidor', code: ERROR_CODES.PERMISSION_DENIED });
+    }
+
+    if (resolveRole(req.body?.requestContext) !== 'admin') {
+        logger.warn('Tentativa de alterar schema sem papel de administrador');
+        return res.status(403).json({ error: 'Apenas administradores podem alterar schemas', code: ERROR_CODES.PERMISSION_DENIED });
+    }
+
+    next();
+}
+
+// Coleções somente leitura também não têm o schema alterado nem removido pelo Wix
+function resolveWritableSchema(name, requestContext) {
+    const collection = resolveCollection(name, undefined, requestContext);
+    if (collection.settings.readOnly) {
+        throw new PermissionError(`A coleção ${name} é somente leitura`);
+    }
+    return collection;
+}
+
+// Descarta o cache de schemas sob demanda (ex.: depois de alterar tabelas direto no MySQL).
+// Com { all: true } descarta o cache de todos os tenants.
+app.post('/api/schema-cache/invalidate', validateSecretKey, (req, res) => {
+    if (resolveRole(req.body.requestContext) !== 'admin') {
+        logger.warn('Tentativa de invalidar o cache de schemas sem papel de administrador');
+        return res.status(403).json({ error: 'Apenas administradores podem invalidar o cache de schemas', code: ERROR_CODES.PERMISSION_DENIED });
+    }
+
+    invalidateSchemaCache({ all: req.body.all === true });
+    logger.info('Cache de schemas invalidado', { all: req.body.all === true });
+    res.status(200).json({ message: 'Cache de schemas invalidado' });
+});
+
+// Endpoint para criar uma coleção (CREATE TABLE)
+app.post('/api/query/schemas/create', validateSecretKey, requireSchemaChanges, async (req, res) => {
+    try {
+        const { schema } = req.body;
+
+        const created = await createCollection(schema);
+        res.status(200).json({ schema: created, message: 'Coleção criada com sucesso' });
+    } catch (err) {
+        sendError(res, err, 'Erro ao criar schema');
+    }
+});
+
+// Endpoint para atualizar os campos de uma coleção (ALTER TABLE)
+app.post('/api/query/schemas/update', validateSecretKey, requireSchemaChanges, async (req, res) => {
+    try {
+        const { schema } = req.body;
+
+        // Coleções ocultas pela configuração não podem ser alteradas pelo Wix; os campos seguem os apelidos
+        // e as colunas ocultas da configuração
+        const collection = resolveWritableSchema(schema && schema.id, req.body.requestContext);
+        await collection.describe();
+        const changes = await updateCollection(schema, collection);
+        res.status(200).json({ schema: changes, message: 'Coleção atualizada com sucesso' });
+    } catch (err) {
+        sendError(res, err, 'Erro ao atualizar schema');
+    }
+});
+
+// Endpoint para remover uma coleção (DROP TABLE)
+app.post('/api/query/schemas/delete', validateSecretKey, requireSchemaChanges, async (req, res) => {
+    try {
+        const { schemaId } = req.body;
+
+        resolveWritableSchema(schemaId, req.body.requestContext);
+        const deleted = await deleteCollection(schemaId);
+        res.status(200).json({ schema: deleted, message: 'Coleção removida com sucesso' });
+    } catch (err) {
+        sendError(res, err, 'Erro ao remover schema');
     }
 });
 
 // Endpoint para listar schemas
 app.post('/api/query/schemas/list', validateSecretKey, async (req, res) => {
     try {
-        // Consulta SQL para obter as tabelas no MySQL
-        const sqlTables = 'SHOW TABLES';
-        const tablesResult = await executeQuery(sqlTables);
+        // Tabelas do banco, vindas do cache de schemas (uma única consulta ao information_schema)
+        const allTables = await listTables();
 
-        if (!tablesResult || tablesResult.length === 0) {
-            return res.status(404).json({ error: 'Nenhuma tabela encontrada no banco de dados' });
+        if (allTables.length === 0) {
+            return res.status(404).json({ error: 'Nenhuma tabela encontrada no banco de dados', code: ERROR_CODES.COLLECTION_NOT_FOUND });
         }
 
-        // Extrai os nomes das tabelas
-        const tables = tablesResult.map(row => row[`Tables_in_${process.env.DB_NAME}`]);
+        // Ignora as tabelas que a configuração oculta do Wix
+        const tables = allTables.filter(table => isCollectionExposed(table));
 
         // Constrói o objeto de resposta
         const schemas = [];
 
         for (const table of tables) {
-            const escapedTable = mysql.escapeId(table);
-            const sqlColumns = `DESCRIBE ${escapedTable}`;
-            const columnsResult = await executeQuery(sqlColumns);
-
-            // Mapeia os campos existentes na tabela para o formato esperado pelo Wix
-            const fields = {};
-
-            for (const column of columnsResult) {
-                const fieldName = column.Field || '';
-                const fieldType = mapMySQLTypeToWixType(column.Type || '');
-                const isRequired = column.Null === 'NO'; // Campo obrigatório se Null for "NO"
-                const isUnique = column.Key === 'PRI' || column.Key === 'UNI'; // Campo único se Key for "PRI" ou "UNI"
-
-                // Define operadores de consulta com base no tipo do campo
-                let queryOperators = [];
-                if (fieldType === 'text') {
-                    queryOperators = ["eq", "lt", "gt", "hasSome", "and", "lte", "gte", "or", "not", "ne", "startsWith", "endsWith"];
-                } else if (fieldType === 'number') {
-                    queryOperators = ["eq", "lt", "gt", "hasSome", "and", "lte", "gte", "or", "not", "ne"];
-                } else if (fieldType === 'datetime') {
-                    queryOperators = ["eq", "lt", "gt", "hasSome", "and", "lte", "gte", "or", "not", "ne"];
-                } else {
-                    queryOperators = ["eq", "lt", "gt", "hasSome", "and", "lte", "gte", "or", "not", "ne"];
-                }
-
-                // Renomeia o campo ID para _id se for uma chave primária
-                const finalFieldName = column.Key === 'PRI' ? '_id' : fieldName;
-
-                // Adiciona o campo ao objeto fields
-                fields[finalFieldName] = {
-                    displayName: fieldName,
-                    type: fieldType,
-                    required: isRequired,
-                    unique: isUnique,
-                    queryOperators: queryOperators
-                };
-            }
-
-            // Adiciona o schema ao array de schemas
-            schemas.push({
-                displayName: table,
-                id: table,
-                allowedOperations: [
-                    "get", "find", "count", "update", "insert", "remove"
-                ],
-                maxPageSize: 50,
-                ttl: 3600,
-                fields: fields
-            });
+            const collection = resolveCollection(table, undefined, req.body.requestContext);
+            schemas.push(await describeSchema(table, collection));
         }
 
         // Retorna a resposta no formato esperado pelo Wix
         res.status(200).json({ schemas });
     } catch (err) {
-        console.error('Erro ao listar schemas:', err.message);
-        res.status(500).json({ error: 'Erro interno do servidor' });
+        sendError(res, err, 'Erro ao listar schemas');
     }
 });
 
-// Função para mapear tipos MySQL para tipos Wix
-function mapMySQLTypeToWixType(mysqlType) {
-    mysqlType = mysqlType.toLowerCase();
-
-    if (mysqlType.includes('int')) {
-        return 'number';
-    } else if (mysqlType.includes('varchar') || mysqlType.includes('text') || mysqlType.includes('char')) {
-        return 'text'; // Alterado para "text" em vez de "string"
-    } else if (mysqlType.includes('date') || mysqlType.includes('time') || mysqlType.includes('datetime')) {
-        return 'datetime';
-    } else if (mysqlType.includes('float') || mysqlType.includes('double') || mysqlType.includes('decimal')) {
-        return 'number';
-    } else if (mysqlType.includes('bool')) {
-        return 'boolean';
-    } else {
-        return 'any'; // Tipo padrão caso não seja reconhecido
+// Erros que escapam das rotas, como um corpo JSON malformado
+app.use((err, req, res, next) => {
+    if (res.headersSent) {
+        return next(err);
     }
-}
-
-
+    sendError(res, err, 'Erro não tratado');
+});
 
 // Inicializa o servidor
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => console.log(`Servidor rodando na porta ${PORT}`));
\ No newline at end of file
+const server = app.listen(PORT, () => logger.info('Servidor rodando', { port: Number(PORT) }));
+
+// Encerramento gracioso: para de aceitar requisições e fecha o pool de conexões
+function shutdown(signal) {
+    logger.info('Encerrando o servidor', { signal });
+    server.close(async () => {
+        try {
+            await closePool();
+            logger.info('Pool de conexões encerrado');
+            process.exit(0);
+        } catch (err) {
+            logger.error('Erro ao encerrar o pool de conexões', { error: err });
+            process.exit(1);
+        }
+    });
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
\ No newline at end of file
@@ -0,0 +1,246 @@
+const { Parser } = require('node-sql-parser');
+const { getCollectionSettings, listConfiguredCollections } = require('./collectionConfig');
+const { getDatabaseName } = require('./mysqlConnector');
+const { resolveRole, isOperationAllowed } = require('./permissions');
+const { isPrivileged } = require('./ownership');
+const { ValidationError, PermissionError } = require('./errors');
+
+const parser = new Parser();
+const PARSER_OPTIONS = { database: 'MySQL' };
+
+// Tipos de comando aceitos em cada rota de SQL livre
+const ENDPOINT_STATEMENTS = {
+    query: ['select'],
+    update: ['insert', 'replace', 'update']
+};
+
+// Comandos que exigem WHERE para não alterar a tabela inteira
+const STATEMENTS_REQUIRING_WHERE = ['update', 'delete'];
+
+// Operação da coleção equivalente a cada acesso do tableList do parser
+const ACCESS_OPERATIONS = {
+    select: 'find',
+    insert: 'insert',
+    replace: 'insert',
+    update: 'update'
+};
+
+// Funções que leem arquivos do servidor ou seguram a conexão
+const FORBIDDEN_FUNCTIONS = ['load_file', 'sleep', 'benchmark', 'get_lock'];
+
+// Máximo de linhas devolvidas por um SELECT livre (RAW_SQL_MAX_ROWS)
+function getMaxRows() {
+    return parseInt(process.env.RAW_SQL_MAX_ROWS, 10) || 1000;
+}
+
+// Nomes da configuração que podem designar a tabela. Com lower_case_table_names diferente de 0 o MySQL
+// ignora maiúsculas nos nomes de tabela; como a configuração do servidor não é conhecida aqui,
+// as coleções com o mesmo nome em outra grafia também valem para a tabela.
+function configuredNames(table) {
+    const lower = table.toLowerCase();
+    return [...new Set([table, ...listConfiguredCollections().filter((name) => name.toLowerCase() === lower)])];
+}
+
+// Tabelas liberadas: RAW_SQL_TABLES (lista separada por vírgulas, com a grafia exata) ou, sem ela,
+// as coleções expostas ao Wix; uma tabela só é liberada se nenhuma grafia dela estiver oculta
+function isTableAllowed(table) {
+    if (process.env.RAW_SQL_TABLES) {
+        return process.env.RAW_SQL_TABLES.split(',').map((name) => name.trim()).includes(table);
+    }
+    return configuredNames(table).every((name) => !getCollectionSettings(name).hidden);
+}
+
+// Recusa comentários fora de literais. O parser os ignora, mas o MySQL executa os comentários
+// executáveis (/*! ... */), o que permitiria esconder do validador um UNION ou um INTO OUTFILE.
+function rejectComments(sql) {
+    let quote = null;
+    for (let index = 0; index < sql.length; index++) {
+        const char = sql[index];
+        if (quote) {
+            if (char === '\\' && quote !== '`') {
+                index++;
+            } else if (char === quote) {
+                quote = null;
+            }
+            continue;
+        }
+        if (char === "'" || char === '"' || char === '`') {
+            quote = char;
+            continue;
+        }
+
+        // "--" sem espaço depois não é comentário no MySQL, mas o parser o trata como tal; recusa os dois casos
+        const next = sql[index + 1];
+        if (char === '#' || (char === '-' && next === '-') || (char === '/' && next === '*')) {
+            throw new ValidationError('Comentários não são permitidos no SQL livre');
+        }
+    }
+}
+
+function parseStatement(sql) {
+    try {
+        return parser.parse(sql, PARSER_OPTIONS);
+    } catch (err) {
+        throw new ValidationError(`Consulta SQL inválida: ${err.message}`);
+    }
+}
+
+// Nome de uma função no AST (o formato varia entre versões do parser)
+function functionName(node) {
+    const { name } = node;
+    if (typeof name === 'string') return name;
+    if (name && Array.isArray(name.name)) return name.name.map((part) => part.value).join('.');
+    return '';
+}
+
+// Percorre o AST procurando SELECT ... INTO e funções proibidas
+function inspectNode(node) {
+    if (!node || typeof node !== 'object') {
+        return;
+    }
+    if (Array.isArray(node)) {
+        node.forEach(inspectNode);
+        return;
+    }
+
+    if (node.into && (node.into.expr || node.into.keyword)) {
+        const target = node.into.keyword ? ` ${node.into.keyword}` : '';
+        throw new ValidationError(`SELECT ... INTO${target} não é permitido`);
+    }
+    if ((node.type === 'function' || node.type === 'aggr_func') && FORBIDDEN_FUNCTIONS.includes(functionName(node).toLowerCase())) {
+        throw new ValidationError(`A função ${functionName(node).toUpperCase()} não é permitida`);
+    }
+
+    Object.values(node).forEach(inspectNode);
+}
+
+// Confere as tabelas usadas (formato "acesso::banco::tabela"), ignorando os nomes definidos em WITH.
+// Cada acesso respeita a configuração da coleção: somente leitura, operações liberadas e o papel do chamador.
+// Tabelas com política de dono só aceitam administradores, pois o SQL livre não filtra as linhas do dono.
+// Valem as configurações de todas as grafias da tabela (ver configuredNames). Devolve as configurações aplicadas.
+function checkTables(tableList, ast, requestContext) {
+    const cteNames = new Set((ast.with || []).map((cte) => (cte.name && cte.name.value) || cte.name));
+
+    const database = getDatabaseName();
+    const role = resolveRole(requestContext);
+    const settingsList = [];
+
+    for (const entry of tableList) {
+        const [access, db, table] = entry.split('::');
+        if (db !== 'null' && db !== database) {
+            throw new ValidationError(`Acesso ao banco ${db} não é permitido`);
+        }
+        if (cteNames.has(table)) {
+            continue;
+        }
+        if (!isTableAllowed(table)) {
+            throw new ValidationError(`Acesso à tabela ${table} não é permitido`);
+        }
+
+        const operation = ACCESS_OPERATIONS[access] || 'update';
+        for (const name of configuredNames(table)) {
+            const settings = getCollectionSettings(name);
+            if (!settings.allowedOperations.includes(operation)) {
+                throw new PermissionError(`Operação '${operation}' não permitida na coleção ${table}`);
+            }
+            if (!isOperationAllowed(settings.permissions, role, operation)) {
+                throw new PermissionError(`O papel '${role}' não tem permissão para '${operation}' na coleção ${table}`);
+            }
+            const { read, write } = settings.ownership;
+            if ((read === 'own' || write === 'own') && !isPrivileged(requestContext)) {
+                throw new PermissionError(`A coleção ${table} restringe os registros ao dono; o SQL livre exige o papel de administrador`);
+            }
+            settingsList.push(settings);
+        }
+    }
+    return settingsList;
+}
+
+// Recusa referências a colunas ocultas (columnList no formato "acesso::tabela::coluna").
+// Como apelidos e colunas sem tabela nem sempre são resolvidos, vale qualquer coluna oculta das tabelas usadas;
+// SELECT * também é recusado quando alguma delas tem colunas ocultas. Nomes de coluna não diferenciam maiúsculas.
+function checkHiddenColumns(columnList, settingsList) {
+    const hidden = new Set(settingsList.flatMap((settings) => settings.hiddenColumns).map((column) => column.toLowerCase()));
+    if (hidden.size === 0) {
+        return;
+    }
+
+    for (const entry of columnList) {
+        const column = entry.split('::').pop();
+        if (column === '(.*)') {
+            throw new ValidationError('SELECT * não é permitido em tabelas com colunas ocultas; liste as colunas');
+        }
+        if (hidden.has(column.toLowerCase())) {
+            throw new ValidationError(`Campo desconhecido: ${column}`);
+        }
+    }
+}
+
+// Limita o SELECT a RAW_SQL_MAX_ROWS linhas, reduzindo um LIMIT maior.
+// UNIONs são envolvidos numa subconsulta para que o limite valha para o resultado inteiro.
+function applyRowLimit(ast, sql) {
+    const maxRows = getMaxRows();
+
+    if (ast._next) {
+        return `SELECT * FROM (${sql}) AS limited LIMIT ${maxRows}`;
+    }
+
+    const limit = ast.limit && Array.isArray(ast.limit.value) && ast.limit.value.length > 0 ? ast.limit : null;
+    if (!limit) {
+        ast.limit = { seperator: '', value: [{ type: 'number', value: maxRows }] };
+        return parser.sqlify(ast, PARSER_OPTIONS);
+    }
+
+    // "LIMIT offset, n" traz a quantidade no segundo valor; "LIMIT n OFFSET m" no primeiro
+    const count = limit.value[limit.seperator === ',' ? 1 : 0];
+    if (!count || count.type !== 'number') {
+        throw new ValidationError('O LIMIT precisa ser um número');
+    }
+    if (count.value <= maxRows) {
+        return sql;
+    }
+
+    count.value = maxRows;
+    return parser.sqlify(ast, PARSER_OPTIONS);
+}
+
+// Valida o SQL livre recebido em /api/query ("query") ou /api/update ("update") e devolve o SQL a executar.
+// Exige um único comando do tipo permitido e sem comentários, só tabelas liberadas para a operação e o papel
+// do requestContext, sem colunas ocultas, sem INTO OUTFILE/DUMPFILE, WHERE em UPDATE/DELETE
+// e um limite de linhas nos SELECTs.
+function validateQuery(sql, endpoint, requestContext) {
+    if (!sql || typeof sql !== 'string') {
+        throw new ValidationError('Consulta SQL inválida');
+    }
+
+    const allowedStatements = ENDPOINT_STATEMENTS[endpoint];
+    if (!allowedStatements) {
+        throw new Error(`Rota de SQL desconhecida: ${endpoint}`);
+    }
+
+    rejectComments(sql);
+    const { ast: parsed, tableList, columnList } = parseStatement(sql);
+    const statements = Array.isArray(parsed) ? parsed : [parsed];
+
+    if (statements.length !== 1) {
+        throw new ValidationError(`Apenas um comando SQL por requisição é permitido (recebidos ${statements.length})`);
+    }
+
+    const [ast] = statements;
+    const type = String(ast.type || '').toLowerCase();
+
+    if (!allowedStatements.includes(type)) {
+        throw new ValidationError(`Comando ${type.toUpperCase()} não permitido nesta rota; use ${allowedStatements.map((statement) => statement.toUpperCase()).join(', ')}`);
+    }
+    if (STATEMENTS_REQUIRING_WHERE.includes(type) && !ast.where) {
+        throw new ValidationError(`${type.toUpperCase()} sem WHERE não é permitido`);
+    }
+
+    inspectNode(ast);
+    const settingsList = checkTables(tableList, ast, requestContext);
+    checkHiddenColumns(columnList, settingsList);
+
+    return type === 'select' ? applyRowLimit(ast, sql) : sql;
+}
+
+module.exports = { validateQuery };
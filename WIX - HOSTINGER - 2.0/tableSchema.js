@@ -0,0 +1,173 @@
+const mysql = require('mysql2');
+const { executeQuery } = require('./queryExecutor');
+const { getScope } = require('./requestScope');
+const { NotFoundError, ERROR_CODES } = require('./errors');
+
+// Colunas de todas as tabelas do banco atual numa única consulta, com a posição na chave primária
+// e a chave estrangeira (tabela e coluna referenciadas) de cada coluna
+const COLUMNS_QUERY = `
+    SELECT c.TABLE_NAME AS tableName, c.COLUMN_NAME AS name, c.COLUMN_TYPE AS type, c.IS_NULLABLE AS nullable,
+           c.COLUMN_KEY AS columnKey, c.COLUMN_DEFAULT AS defaultValue, c.EXTRA AS extra,
+           pk.ORDINAL_POSITION AS primaryKeyPosition,
+           fk.REFERENCED_TABLE_NAME AS referencedTable, fk.REFERENCED_COLUMN_NAME AS referencedColumn
+    FROM information_schema.COLUMNS c
+    LEFT JOIN information_schema.KEY_COLUMN_USAGE pk
+        ON pk.TABLE_SCHEMA = c.TABLE_SCHEMA AND pk.TABLE_NAME = c.TABLE_NAME
+        AND pk.COLUMN_NAME = c.COLUMN_NAME AND pk.CONSTRAINT_NAME = 'PRIMARY'
+    LEFT JOIN information_schema.KEY_COLUMN_USAGE fk
+        ON fk.TABLE_SCHEMA = c.TABLE_SCHEMA AND fk.TABLE_NAME = c.TABLE_NAME
+        AND fk.COLUMN_NAME = c.COLUMN_NAME AND fk.REFERENCED_TABLE_SCHEMA = c.TABLE_SCHEMA
+    WHERE c.TABLE_SCHEMA = DATABASE()
+    ORDER BY c.TABLE_NAME, c.ORDINAL_POSITION`;
+
+// Intervalo mínimo, em ms, entre recargas provocadas por uma tabela ausente do cache
+const MISSING_TABLE_RELOAD_INTERVAL = 10000;
+
+// Um cache por tenant (a chave '' é o banco padrão): { loadedAt, tables: Map<tabela, colunas> }
+const schemaCache = new Map();
+// Cargas em andamento, para que requisições simultâneas compartilhem a mesma consulta
+const pendingLoads = new Map();
+
+// Validade máxima do cache em segundos; SCHEMA_CACHE_TTL (padrão 3600, o ttl anunciado por padrão ao Wix)
+function getCacheTtl() {
+    const ttl = parseInt(process.env.SCHEMA_CACHE_TTL, 10);
+    return Number.isNaN(ttl) ? 3600 : ttl;
+}
+
+function cacheKey() {
+    const { tenant } = getScope();
+    return tenant ? tenant.installationId : '';
+}
+
+// Lê as colunas da tabela no formato { name, type, nullable, key, defaultValue, extra, collation, comment },
+// sem passar pelo cache. Aceita um runQuery opcional para reaproveitar uma conexão já aberta.
+async function describeTable(table, runQuery = executeQuery) {
+    const rows = await runQuery(`SHOW FULL COLUMNS FROM ${mysql.escapeId(table)}`);
+
+    return rows.map((column) => ({
+        name: column.Field,
+        type: String(column.Type || '').toLowerCase(),
+        nullable: column.Null === 'YES',
+        key: column.Key || '',
+        defaultValue: column.Default,
+        extra: column.Extra || '',
+        collation: column.Collation || null,
+        comment: column.Comment || ''
+    }));
+}
+
+// Lê o schema do banco inteiro numa única consulta
+async function loadSchema() {
+    const rows = await executeQuery(COLUMNS_QUERY);
+    const tables = new Map();
+
+    for (const row of rows) {
+        if (!tables.has(row.tableName)) {
+            tables.set(row.tableName, []);
+        }
+        const columns = tables.get(row.tableName);
+        // Uma coluna em mais de uma chave estrangeira aparece repetida; vale a primeira
+        if (columns.some((column) => column.name === row.name)) continue;
+
+        columns.push({
+            name: row.name,
+            type: String(row.type || '').toLowerCase(),
+            nullable: row.nullable === 'YES',
+            key: row.columnKey || '',
+            defaultValue: row.defaultValue,
+            extra: row.extra || '',
+            primaryKeyPosition: row.primaryKeyPosition || null,
+            reference: row.referencedTable ? { table: row.referencedTable, column: row.referencedColumn } : null
+        });
+    }
+
+    // Uma chave estrangeira só vira referência do Wix quando aponta para a chave primária simples da tabela alvo
+    for (const columns of tables.values()) {
+        for (const column of columns) {
+            if (column.reference) {
+                const targetKey = (tables.get(column.reference.table) || []).filter((target) => target.key === 'PRI');
+                column.reference.toPrimaryKey = targetKey.length === 1 && targetKey[0].name === column.reference.column;
+            }
+            Object.freeze(column);
+        }
+    }
+
+    return { loadedAt: Date.now(), tables };
+}
+
+// Schema do tenant atual, recarregado quando tem mais de maxAgeSeconds (limitado por SCHEMA_CACHE_TTL).
+// Uma carga só é guardada se o cache não foi invalidado enquanto ela rodava.
+async function getSchema(maxAgeSeconds = getCacheTtl()) {
+    const key = cacheKey();
+    const entry = schemaCache.get(key);
+    const maxAgeMs = Math.min(maxAgeSeconds, getCacheTtl()) * 1000;
+
+    if (entry && Date.now() - entry.loadedAt < maxAgeMs) {
+        return entry;
+    }
+
+    if (!pendingLoads.has(key)) {
+        const load = loadSchema()
+            .then((loaded) => {
+                if (pendingLoads.get(key) === load) {
+                    schemaCache.set(key, loaded);
+                }
+                return loaded;
+            })
+            .finally(() => {
+                if (pendingLoads.get(key) === load) {
+                    pendingLoads.delete(key);
+                }
+            });
+        pendingLoads.set(key, load);
+    }
+    return pendingLoads.get(key);
+}
+
+// Colunas da tabela vindas do cache. Uma tabela ausente provoca uma recarga (no máximo a cada 10 s),
+// para enxergar tabelas criadas fora do adaptador; se continuar ausente, a coleção não existe.
+async function getTableColumns(table, maxAgeSeconds) {
+    let schema = await getSchema(maxAgeSeconds);
+
+    if (!schema.tables.has(table) && Date.now() - schema.loadedAt >= MISSING_TABLE_RELOAD_INTERVAL) {
+        invalidateSchemaCache();
+        schema = await getSchema(maxAgeSeconds);
+    }
+    if (!schema.tables.has(table)) {
+        throw new NotFoundError(`Coleção não encontrada: ${table}`, ERROR_CODES.COLLECTION_NOT_FOUND);
+    }
+    return schema.tables.get(table);
+}
+
+// Nomes das tabelas do banco atual, em ordem alfabética
+async function listTables() {
+    return [...(await getSchema()).tables.keys()];
+}
+
+// Descarta o cache do tenant atual (ex.: depois de alterar um schema) ou, com all=true, de todos
+function invalidateSchemaCache({ all = false } = {}) {
+    if (all) {
+        schemaCache.clear();
+        pendingLoads.clear();
+        return;
+    }
+    schemaCache.delete(cacheKey());
+    pendingLoads.delete(cacheKey());
+}
+
+// Estado do cache para a verificação de prontidão
+function getSchemaCacheState() {
+    const entries = [...schemaCache.values()];
+    if (entries.length === 0) {
+        return { status: 'empty', ttlSeconds: getCacheTtl() };
+    }
+    return {
+        status: 'warm',
+        ttlSeconds: getCacheTtl(),
+        databases: entries.length,
+        tables: entries.reduce((total, entry) => total + entry.tables.size, 0),
+        oldestAgeSeconds: Math.round((Date.now() - Math.min(...entries.map((entry) => entry.loadedAt))) / 1000)
+    };
+}
+
+module.exports = { describeTable, getTableColumns, listTables, invalidateSchemaCache, getSchemaCacheState };
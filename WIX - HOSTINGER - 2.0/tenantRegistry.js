@@ -0,0 +1,82 @@
+const fs = require('fs');
+const path = require('path');
+
+// Arquivo com os tenants provisionados: { tenants: { installationId: { database, secretKeyHashes, host?, user?, password? } } }.
+// secretKeyHashes lista o SHA-256 (hexadecimal) das chaves secretas aceitas para a instalação; para trocar a chave,
+// inclua o hash da nova, atualize o Wix e depois remova o da antiga.
+function getRegistryFile() {
+    return process.env.TENANTS_FILE
+        ? path.resolve(process.env.TENANTS_FILE)
+        : path.join(__dirname, 'tenants.json');
+}
+
+let cache = { file: null, mtimeMs: 0, tenants: {} };
+
+// Com MULTI_TENANT=true cada installationId do Wix usa o próprio banco
+function isMultiTenant() {
+    return process.env.MULTI_TENANT === 'true';
+}
+
+// Lê o registro, relendo o arquivo apenas quando ele muda (ex.: credenciais editadas manualmente)
+function loadTenants() {
+    const file = getRegistryFile();
+    if (!fs.existsSync(file)) {
+        cache = { file, mtimeMs: 0, tenants: {} };
+        return cache.tenants;
+    }
+
+    const { mtimeMs } = fs.statSync(file);
+    if (cache.file !== file || cache.mtimeMs !== mtimeMs) {
+        const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+        cache = { file, mtimeMs, tenants: raw.tenants || {} };
+    }
+    return cache.tenants;
+}
+
+// Grava o registro num arquivo temporário e o renomeia, para nunca deixar um JSON pela metade
+function saveTenants(tenants) {
+    const file = getRegistryFile();
+    const temporary = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(temporary, JSON.stringify({ tenants }, null, 4), { mode: 0o600 });
+    fs.renameSync(temporary, file);
+    cache = { file, mtimeMs: fs.statSync(file).mtimeMs, tenants };
+}
+
+function getTenant(installationId) {
+    if (!installationId) {
+        return null;
+    }
+    const tenant = loadTenants()[installationId];
+    return tenant ? { installationId, ...tenant } : null;
+}
+
+// Nome do banco de um tenant novo: TENANT_DATABASE_PREFIX + installationId sem caracteres especiais
+function defaultDatabaseName(installationId) {
+    const prefix = process.env.TENANT_DATABASE_PREFIX || 'wix_';
+    return `${prefix}${String(installationId).replace(/[^A-Za-z0-9_]/g, '_')}`.slice(0, 64);
+}
+
+// Registra a instalação com o hash da chave usada no provisionamento, que passa a ser a única aceita para ela.
+// Uma entrada já existente (ex.: com credenciais próprias) é mantida. prepare(tenant) roda antes da gravação,
+// também para entradas existentes (ex.: criar o banco); se falhar, a instalação não é registrada.
+async function registerTenant(installationId, secretKeyHash, prepare = async () => {}) {
+    const existing = getTenant(installationId);
+    if (existing) {
+        await prepare(existing);
+        return { tenant: existing, created: false };
+    }
+
+    const entry = {
+        database: defaultDatabaseName(installationId),
+        secretKeyHashes: [secretKeyHash],
+        provisionedAt: new Date().toISOString()
+    };
+    await prepare({ installationId, ...entry });
+
+    const tenants = { ...loadTenants(), [installationId]: entry };
+    saveTenants(tenants);
+
+    return { tenant: { installationId, ...entry }, created: true };
+}
+
+module.exports = { isMultiTenant, getTenant, registerTenant };
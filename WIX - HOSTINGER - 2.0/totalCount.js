@@ -0,0 +1,48 @@
+const { ValidationError } = require('./errors');
+
+// Modos de cálculo do totalCount no /data/find:
+// exact: COUNT(*) com o mesmo filtro; estimate: estimativa do otimizador; skip: não calcula
+const TOTAL_COUNT_MODES = ['exact', 'estimate', 'skip'];
+
+function resolveTotalCountMode(mode) {
+    const resolved = mode || process.env.TOTAL_COUNT_MODE || 'exact';
+    if (!TOTAL_COUNT_MODES.includes(resolved)) {
+        throw new ValidationError(`Modo de contagem inválido: ${resolved}`);
+    }
+    return resolved;
+}
+
+// Calcula o total de registros que atendem à cláusula WHERE já traduzida.
+// Retorna null no modo "skip".
+async function countTotal(runQuery, table, escapedTable, where, mode) {
+    const resolvedMode = resolveTotalCountMode(mode);
+
+    if (resolvedMode === 'skip') {
+        return null;
+    }
+
+    if (resolvedMode === 'estimate') {
+        // Sem filtro, a estatística da tabela é suficiente
+        if (!where.clause) {
+            const stats = await runQuery(
+                'SELECT TABLE_ROWS AS totalCount FROM information_schema.TABLES WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?',
+                [table]
+            );
+            return stats.length > 0 ? Number(stats[0].totalCount) || 0 : 0;
+        }
+
+        // Com filtro, usa as linhas estimadas pelo plano de execução
+        const plan = await runQuery(`EXPLAIN SELECT * FROM ${escapedTable}${where.clause}`, where.params);
+        if (plan.length > 0) {
+            const rows = Number(plan[0].rows) || 0;
+            const filtered = plan[0].filtered === undefined ? 100 : Number(plan[0].filtered);
+            return Math.round(rows * filtered / 100);
+        }
+        return 0;
+    }
+
+    const countResult = await runQuery(`SELECT COUNT(*) AS totalCount FROM ${escapedTable}${where.clause}`, where.params);
+    return countResult[0].totalCount;
+}
+
+module.exports = { countTotal, resolveTotalCountMode };
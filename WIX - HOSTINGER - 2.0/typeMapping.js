@@ -0,0 +1,57 @@
+const { ValidationError } = require('./errors');
+
+// Função para mapear tipos MySQL para tipos Wix
+function mapMySQLTypeToWixType(mysqlType) {
+    mysqlType = mysqlType.toLowerCase();
+
+    // TINYINT(1) é como o MySQL guarda BOOLEAN; precisa vir antes da regra de "int"
+    if (mysqlType.includes('bool') || mysqlType.startsWith('tinyint(1)') || mysqlType.startsWith('bit(1)')) {
+        return 'boolean';
+    } else if (mysqlType.includes('int')) {
+        return 'number';
+    } else if (mysqlType.includes('varchar') || mysqlType.includes('text') || mysqlType.includes('char')) {
+        return 'text'; // Alterado para "text" em vez de "string"
+    } else if (mysqlType.includes('date') || mysqlType.includes('time') || mysqlType.includes('datetime')) {
+        return 'datetime';
+    } else if (mysqlType.includes('float') || mysqlType.includes('double') || mysqlType.includes('decimal')) {
+        return 'number';
+    } else if (mysqlType.startsWith('json')) {
+        return 'object';
+    } else {
+        return 'any'; // Tipo padrão caso não seja reconhecido
+    }
+}
+
+// Tipos MySQL usados ao criar colunas a partir de campos do Wix (inverso de mapMySQLTypeToWixType)
+const WIX_TO_MYSQL_TYPES = {
+    text: 'VARCHAR(255)',
+    richtext: 'TEXT',
+    url: 'VARCHAR(2048)',
+    image: 'VARCHAR(2048)',
+    number: 'DOUBLE',
+    boolean: 'TINYINT(1)',
+    datetime: 'DATETIME',
+    date: 'DATE',
+    object: 'JSON',
+    array: 'JSON',
+    any: 'TEXT'
+};
+
+// Função para mapear tipos Wix para tipos MySQL.
+// Campos "reference" são chaves estrangeiras já existentes e mantêm o tipo atual da coluna (existingType).
+function mapWixTypeToMySQLType(wixType, existingType) {
+    if (String(wixType || '').toLowerCase() === 'reference') {
+        if (!existingType) {
+            throw new ValidationError('Campos de referência só podem ser criados direto no MySQL, como chave estrangeira');
+        }
+        return existingType;
+    }
+
+    const mysqlType = WIX_TO_MYSQL_TYPES[String(wixType || '').toLowerCase()];
+    if (!mysqlType) {
+        throw new ValidationError(`Tipo de campo Wix não suportado: ${wixType}`);
+    }
+    return mysqlType;
+}
+
+module.exports = { mapMySQLTypeToWixType, mapWixTypeToMySQLType };